@@ -1,24 +1,34 @@
-const { Pool } = require('pg');
+require('dotenv').config();
+const { createPostgresPool } = require('./db/postgres');
+const { createEmbeddedPool } = require('./db/embedded');
 
-// Use IPv4-compatible pooler connection
-const pool = new Pool({
-  user: 'postgres.mlujgvsuldodbboncqec',
-  password: process.env.DB_PASSWORD,
-  host: 'aws-1-us-east-2.pooler.supabase.com',
-  port: 6543,
-  database: 'postgres',
-  ssl: {
-    rejectUnauthorized: false
-  },
-  connectionTimeoutMillis: 10000,
-});
+// Pick the database: Postgres when DATABASE_URL is set, otherwise the embedded local store.
+// DB_DRIVER=postgres|embedded forces one; EMBEDDED_DB_PATH=memory:// keeps the embedded store in memory.
+// Production never falls back to the embedded store - it has to be asked for with DB_DRIVER=embedded
+function createPool() {
+  if (process.env.NODE_ENV === 'production' && !process.env.DATABASE_URL && !process.env.DB_DRIVER) {
+    throw new Error('DATABASE_URL must be set in production (or DB_DRIVER=embedded to use the embedded database)');
+  }
 
-pool.on('connect', () => {
-  console.log('✅ Connected to Supabase database via pooler');
-});
+  const driver = process.env.DB_DRIVER || (process.env.DATABASE_URL ? 'postgres' : 'embedded');
 
-pool.on('error', (err) => {
-  console.error('❌ Database connection error:', err);
-});
+  if (driver === 'postgres') {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('DATABASE_URL must be set to use the postgres driver');
+    }
+    return createPostgresPool(process.env.DATABASE_URL);
+  }
 
-module.exports = pool;
+  if (driver === 'embedded') {
+    if (process.env.NODE_ENV === 'production') {
+      console.warn('⚠️  No DATABASE_URL set - production is running on the embedded local database');
+    }
+    const pool = createEmbeddedPool(process.env.EMBEDDED_DB_PATH || undefined);
+    console.log(`✅ Using embedded database (${pool.dataDir})`);
+    return pool;
+  }
+
+  throw new Error(`Unknown DB_DRIVER "${driver}" - use postgres or embedded`);
+}
+
+module.exports = createPool();
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+// Embedded Postgres (PGlite, compiled to WebAssembly) for running the API offline.
+// It runs the same SQL as the real database, so the routes don't need to know which one they talk to.
+// PGlite has a single connection, so queries and checked-out clients take turns through a queue.
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '.data', 'pglite');
+
+function createEmbeddedPool(dataDir = DEFAULT_DATA_DIR) {
+  const { PGlite } = require('@electric-sql/pglite');
+
+  if (!dataDir.startsWith('memory://')) {
+    fs.mkdirSync(path.dirname(dataDir), { recursive: true });
+  }
+
+  const db = new PGlite(dataDir);
+  let queue = Promise.resolve();
+
+  // Wait for our turn on the connection - resolves with the function that hands it on
+  function acquire() {
+    let release;
+    const turn = new Promise(resolve => { release = resolve; });
+    const ready = queue.then(() => release);
+    queue = queue.then(() => turn);
+    return ready;
+  }
+
+  // Match the parts of a pg result the routes use
+  async function run(text, params) {
+    const result = await db.query(text, params);
+    return {
+      rows: result.rows,
+      rowCount: result.rows.length || result.affectedRows || 0,
+      fields: result.fields
+    };
+  }
+
+  return {
+    driver: 'embedded',
+    dataDir,
+
+    async query(text, params) {
+      const release = await acquire();
+      try {
+        return await run(text, params);
+      } finally {
+        release();
+      }
+    },
+
+    // A client holds the connection until released, so transactions aren't interleaved
+    async connect() {
+      const release = await acquire();
+      let released = false;
+      return {
+        query: run,
+        release() {
+          if (released) return;
+          released = true;
+          release();
+        }
+      };
+    },
+
+    async end() {
+      await db.close();
+    },
+
+    on() {}
+  };
+}
+
+module.exports = { createEmbeddedPool, DEFAULT_DATA_DIR };
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+// Numbered schema migrations in backend/migrations. Each file is named NNN_description.js and
+// exports async up(client) / down(client). Applied versions are recorded in schema_migrations.
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const [version] = file.split('_');
+      return {
+        version,
+        name: file.replace(/\.js$/, ''),
+        ...require(path.join(MIGRATIONS_DIR, file))
+      };
+    });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedVersions(client) {
+  await ensureMigrationsTable(client);
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+}
+
+// Run one migration step inside a transaction so a failure leaves the schema untouched
+async function runInTransaction(client, work) {
+  await client.query('BEGIN');
+  try {
+    await work();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Apply every pending migration in order - returns the names of the ones applied
+async function migrate(client) {
+  const applied = await getAppliedVersions(client);
+  const pending = loadMigrations().filter(migration => !applied.includes(migration.version));
+
+  for (const migration of pending) {
+    await runInTransaction(client, async () => {
+      await migration.up(client);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    });
+    console.log(`⬆️  Applied ${migration.name}`);
+  }
+
+  if (pending.length === 0) {
+    console.log('✅ Schema is up to date');
+  }
+
+  return pending.map(migration => migration.name);
+}
+
+// Undo the most recently applied migrations - returns the names of the ones rolled back
+async function rollback(client, steps = 1) {
+  const applied = await getAppliedVersions(client);
+  const migrations = loadMigrations();
+  const toRollBack = applied.slice(-steps).reverse();
+
+  for (const version of toRollBack) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`Migration ${version} is recorded as applied but its file is missing`);
+    }
+
+    await runInTransaction(client, async () => {
+      await migration.down(client);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+    });
+    console.log(`⬇️  Rolled back ${migration.name}`);
+  }
+
+  if (toRollBack.length === 0) {
+    console.log('ℹ️  No migrations to roll back');
+  }
+
+  return toRollBack;
+}
+
+// Every known migration with whether (and when) it has been applied
+async function getStatus(client) {
+  await ensureMigrationsTable(client);
+  const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedAt.has(migration.version),
+    applied_at: appliedAt.get(migration.version) || null
+  }));
+}
+
+module.exports = { migrate, rollback, getStatus, loadMigrations };
@@ -0,0 +1,24 @@
+const { Pool } = require('pg');
+
+// Postgres (Supabase in production) configured entirely through DATABASE_URL
+function createPostgresPool(connectionString) {
+  const pool = new Pool({
+    connectionString,
+    // Supabase needs SSL; set DATABASE_SSL=false for a plain local Postgres
+    ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false },
+    connectionTimeoutMillis: 10000,
+  });
+
+  pool.on('connect', () => {
+    console.log('✅ Connected to Postgres database');
+  });
+
+  pool.on('error', (err) => {
+    console.error('❌ Database connection error:', err);
+  });
+
+  pool.driver = 'postgres';
+  return pool;
+}
+
+module.exports = { createPostgresPool };
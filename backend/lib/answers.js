@@ -0,0 +1,87 @@
+// Helper function to normalize answer for comparison (strips punctuation, keeps only letters and spaces)
+function normalizeAnswer(answer) {
+  return answer
+    .toUpperCase()
+    .replace(/[^A-Z\s]/g, '') // Remove everything except letters and spaces
+    .replace(/\s+/g, ' ')     // Normalize multiple spaces to single space
+    .trim();
+}
+
+// Number of single-letter inserts, deletes or substitutions to turn a into b
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// How many typos still count as "so close": one for short answers, two once they're 15+ letters
+function closeThreshold(answer) {
+  return answer.replace(/ /g, '').length >= 15 ? 2 : 1;
+}
+
+// Grade a guess against the answer and any alternates the admin has accepted:
+//   'correct'      - matches an accepted answer (ignoring punctuation)
+//   'close'        - a typo or two away from an accepted answer
+//   'linking_word' - wrong, but the guess includes the linking word
+//   'wrong'        - none of the above
+function gradeAnswer(guess, answer, linkingWord, alternates = []) {
+  const normalizedGuess = normalizeAnswer(guess);
+  const accepted = [answer, ...alternates].map(normalizeAnswer).filter(Boolean);
+
+  if (accepted.includes(normalizedGuess)) {
+    return 'correct';
+  }
+
+  const isClose = accepted.some(candidate =>
+    editDistance(normalizedGuess, candidate) <= closeThreshold(candidate)
+  );
+  if (isClose) {
+    return 'close';
+  }
+
+  const normalizedLink = normalizeAnswer(linkingWord || '');
+  if (normalizedLink && ` ${normalizedGuess} `.includes(` ${normalizedLink} `)) {
+    return 'linking_word';
+  }
+
+  return 'wrong';
+}
+
+// Wordle-style feedback for each word of the answer: 'correct' (right word, right place),
+// 'present' (the word is elsewhere in the answer) or 'absent'. Correct words carry the answer's
+// spelling so the client can lock them into the letter boxes
+function compareWords(guess, answer) {
+  const answerWords = answer.split(' ');
+  const normalizedAnswer = answerWords.map(normalizeAnswer);
+  const normalizedGuess = normalizeAnswer(guess).split(' ');
+
+  // Answer words not matched in place, so a repeated guess word is only "present" once per copy
+  const unmatched = normalizedAnswer.filter((word, index) => normalizedGuess[index] !== word);
+
+  return answerWords.map((word, index) => {
+    const guessWord = normalizedGuess[index] || '';
+
+    if (guessWord && guessWord === normalizedAnswer[index]) {
+      return { word_index: index, guess: guessWord, status: 'correct', word };
+    }
+
+    const presentIndex = guessWord ? unmatched.indexOf(guessWord) : -1;
+    if (presentIndex !== -1) {
+      unmatched.splice(presentIndex, 1);
+      return { word_index: index, guess: guessWord, status: 'present' };
+    }
+
+    return { word_index: index, guess: guessWord, status: 'absent' };
+  });
+}
+
+module.exports = { normalizeAnswer, editDistance, gradeAnswer, compareWords };
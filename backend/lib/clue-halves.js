@@ -0,0 +1,70 @@
+const { normalizeAnswer } = require('./answers');
+
+// Each clue is two halves joined on the linking word: the before clue describes the before phrase
+// ("Device for pointing and clicking" -> COMPUTER MOUSE) and the after clue the after phrase
+// ("Device to catch rodents" -> MOUSE TRAP). The full clue text is the halves joined with " + "
+
+// Split "before + after" clue text into its halves, or null if it isn't in that form
+function splitClue(clue) {
+  const parts = (clue || '').split(/\s+\+\s+/).map(part => part.trim());
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+  return { before: parts[0], after: parts[1] };
+}
+
+// The before phrase runs up to the end of the linking span, the after phrase starts at its first word
+function getPhrases(answer, span) {
+  const words = answer.trim().split(/\s+/);
+  return {
+    before: words.slice(0, span.end + 1).join(' '),
+    after: words.slice(span.start).join(' ')
+  };
+}
+
+// Work out the structured halves for a clue being saved. beforeClue/afterClue default to splitting
+// the clue text; beforePhrase/afterPhrase default to the answer split on the linking span, and if
+// given they have to match it. Returns { beforeClue, afterClue, beforePhrase, afterPhrase } or { error }
+function resolveClueHalves(clue, answer, linkingWord, span) {
+  const phrases = getPhrases(answer, span);
+  const link = normalizeAnswer(linkingWord);
+
+  if (clue.beforePhrase !== undefined) {
+    const beforePhrase = normalizeAnswer(clue.beforePhrase || '');
+    if (!` ${beforePhrase}`.endsWith(` ${link}`)) {
+      return { error: 'Before phrase must end with the linking word' };
+    }
+    if (beforePhrase !== normalizeAnswer(phrases.before)) {
+      return { error: `Before phrase must be the answer up to the end of the linking word (${phrases.before})` };
+    }
+  }
+
+  if (clue.afterPhrase !== undefined) {
+    const afterPhrase = normalizeAnswer(clue.afterPhrase || '');
+    if (!`${afterPhrase} `.startsWith(`${link} `)) {
+      return { error: 'After phrase must start with the linking word' };
+    }
+    if (afterPhrase !== normalizeAnswer(phrases.after)) {
+      return { error: `After phrase must be the answer from the start of the linking word (${phrases.after})` };
+    }
+  }
+
+  if (clue.beforeClue !== undefined || clue.afterClue !== undefined) {
+    const beforeClue = (clue.beforeClue || '').trim();
+    const afterClue = (clue.afterClue || '').trim();
+
+    if (!beforeClue || !afterClue) {
+      return { error: 'Both the before and after clue are required' };
+    }
+    return { beforeClue, afterClue, beforePhrase: phrases.before, afterPhrase: phrases.after };
+  }
+
+  // Older clues written as one line that can't be split just keep their halves empty
+  const halves = splitClue(clue.clue);
+  return {
+    beforeClue: halves ? halves.before : null,
+    afterClue: halves ? halves.after : null,
+    beforePhrase: phrases.before,
+    afterPhrase: phrases.after
+  };
+}
+
+module.exports = { splitClue, getPhrases, resolveClueHalves };
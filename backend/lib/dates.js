@@ -0,0 +1,23 @@
+// Helper function to get today's date in Eastern Time
+function getTodayEastern() {
+  const now = new Date();
+  const easternDate = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const year = easternDate.getFullYear();
+  const month = String(easternDate.getMonth() + 1).padStart(2, '0');
+  const day = String(easternDate.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Whole-day number for a YYYY-MM-DD date string, independent of the server's timezone
+function toDayNumber(dateString) {
+  const [year, month, day] = String(dateString).split('T')[0].split('-').map(Number);
+  return Math.round(Date.UTC(year, month - 1, day) / (1000 * 60 * 60 * 24));
+}
+
+// The YYYY-MM-DD date a number of days after (or before, if negative) the given one
+function addDays(dateString, days) {
+  const date = new Date((toDayNumber(dateString) + days) * 1000 * 60 * 60 * 24);
+  return date.toISOString().split('T')[0];
+}
+
+module.exports = { getTodayEastern, toDayNumber, addDays };
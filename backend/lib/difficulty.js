@@ -0,0 +1,160 @@
+const { normalizeAnswer } = require('./answers');
+const { buildClueAnalytics } = require('./puzzle-analytics');
+
+// Empirical difficulty on the same 1-5 scale admins use, worked out from normal mode results
+// (hard mode has no hints, so its plays would look easier than they are). Each signal is scaled
+// to 0-1 "strain", weighted, and mapped onto 1-5 with one decimal
+const MIN_CALIBRATION_PLAYS = 5;
+
+// A puzzle averaging 50/100 or worse, 4+ hints a clue or 3+ minutes a clue is as hard as it gets
+const PUZZLE_WEIGHTS = { score: 0.5, hints: 0.25, time: 0.25 };
+const CLUE_WEIGHTS = { hintedSolves: 0.5, hints: 0.3, wrongAnswers: 0.2 };
+
+function strain(value, max) {
+  return Math.min(Math.max(value / max, 0), 1);
+}
+
+function toDifficulty(totalStrain) {
+  return Math.round((1 + 4 * totalStrain) * 10) / 10;
+}
+
+// stats: { avgScore, avgTime, avgHints } with time and hints per clue
+function getPuzzleDifficulty(stats) {
+  return toDifficulty(
+    PUZZLE_WEIGHTS.score * strain(100 - stats.avgScore, 50) +
+    PUZZLE_WEIGHTS.hints * strain(stats.avgHints, 4) +
+    PUZZLE_WEIGHTS.time * strain(stats.avgTime, 180)
+  );
+}
+
+// clueAnalytics: one entry from buildClueAnalytics
+function getClueDifficulty(clueAnalytics) {
+  return toDifficulty(
+    CLUE_WEIGHTS.hintedSolves * (1 - clueAnalytics.no_hint_solve_rate / 100) +
+    CLUE_WEIGHTS.hints * strain(clueAnalytics.avg_hints, 4) +
+    CLUE_WEIGHTS.wrongAnswers * strain(clueAnalytics.avg_wrong_answers, 3)
+  );
+}
+
+// Recalculate every puzzle's (and clue's) calibrated difficulty. Puzzles with fewer than
+// MIN_CALIBRATION_PLAYS results are cleared rather than given a number from too little data
+async function calibrateDifficulty(client) {
+  await client.query('BEGIN');
+
+  try {
+    const puzzlesResult = await client.query(`
+      SELECT dp.id, TO_CHAR(dp.date, 'YYYY-MM-DD') as date, dp.difficulty,
+             COUNT(gr.id) as plays, AVG(gr.score) as avg_score, AVG(gr.completion_time) as avg_time,
+             (SELECT COUNT(*) FROM puzzle_clues pc WHERE pc.daily_puzzle_id = dp.id) as clue_count
+      FROM daily_puzzles dp
+      LEFT JOIN game_results gr ON gr.daily_puzzle_id = dp.id AND gr.mode = 'normal'
+      GROUP BY dp.id
+      ORDER BY dp.date
+    `);
+
+    const report = { calibrated: [], skipped: 0 };
+
+    for (const puzzle of puzzlesResult.rows) {
+      const plays = parseInt(puzzle.plays, 10);
+      const clueCount = parseInt(puzzle.clue_count, 10);
+
+      if (plays < MIN_CALIBRATION_PLAYS || clueCount === 0) {
+        await saveCalibration(client, puzzle.id, plays, null, []);
+        report.skipped++;
+        continue;
+      }
+
+      const cluesResult = await client.query(`
+        SELECT clue_number FROM puzzle_clues WHERE daily_puzzle_id = $1 ORDER BY clue_number
+      `, [puzzle.id]);
+      const resultsResult = await client.query(`
+        SELECT clue_results, hint_breakdown FROM game_results
+        WHERE daily_puzzle_id = $1 AND mode = 'normal'
+      `, [puzzle.id]);
+
+      const clueAnalytics = buildClueAnalytics(cluesResult.rows, resultsResult.rows)
+        .filter(clue => clue.plays > 0);
+      const avgHints = clueAnalytics.reduce((sum, clue) => sum + clue.avg_hints, 0) / clueCount;
+
+      const difficulty = getPuzzleDifficulty({
+        avgScore: parseFloat(puzzle.avg_score),
+        avgTime: parseFloat(puzzle.avg_time) / clueCount,
+        avgHints
+      });
+      const clueDifficulties = clueAnalytics.map(clue => ({
+        clue_number: clue.clue_number,
+        difficulty: getClueDifficulty(clue)
+      }));
+
+      await saveCalibration(client, puzzle.id, plays, difficulty, clueDifficulties);
+      report.calibrated.push({ dailyPuzzleId: puzzle.id, date: puzzle.date, plays, authored: puzzle.difficulty, difficulty });
+    }
+
+    await client.query('COMMIT');
+    return report;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function saveCalibration(client, dailyPuzzleId, plays, difficulty, clueDifficulties) {
+  await client.query(`
+    UPDATE daily_puzzles
+    SET calibrated_difficulty = $2, calibration_plays = $3, calibrated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [dailyPuzzleId, difficulty, plays]);
+
+  await client.query(`
+    UPDATE puzzle_clues SET calibrated_difficulty = NULL WHERE daily_puzzle_id = $1
+  `, [dailyPuzzleId]);
+
+  for (const clue of clueDifficulties) {
+    await client.query(`
+      UPDATE puzzle_clues SET calibrated_difficulty = $3
+      WHERE daily_puzzle_id = $1 AND clue_number = $2
+    `, [dailyPuzzleId, clue.clue_number, clue.difficulty]);
+  }
+}
+
+// Words a linking word shares with another, skipping short ones like OF and IN that would match
+// almost everything
+function getLinkKeywords(linkingWord) {
+  return normalizeAnswer(linkingWord).split(' ').filter(word => word.length >= 3);
+}
+
+// Suggest a difficulty for a new puzzle from calibrated clues with the same linking words, or
+// failing that ones sharing a word with them ("ICE CREAM" and "ICE"). calibratedClues are
+// { linking_word, calibrated_difficulty } rows. difficulty is null when nothing similar is calibrated
+function suggestDifficulty(linkingWords, calibratedClues) {
+  const matches = linkingWords.map(linkingWord => {
+    const link = normalizeAnswer(linkingWord);
+    const keywords = getLinkKeywords(linkingWord);
+
+    let similar = calibratedClues.filter(clue => normalizeAnswer(clue.linking_word) === link);
+    if (similar.length === 0) {
+      similar = calibratedClues.filter(clue => getLinkKeywords(clue.linking_word).some(word => keywords.includes(word)));
+    }
+
+    const difficulty = similar.length
+      ? Math.round((similar.reduce((sum, clue) => sum + clue.calibrated_difficulty, 0) / similar.length) * 10) / 10
+      : null;
+    return { linking_word: link, similar_clues: similar.length, difficulty };
+  });
+
+  const found = matches.filter(match => match.difficulty !== null);
+  const difficulty = found.length
+    ? Math.min(5, Math.max(1, Math.round(found.reduce((sum, match) => sum + match.difficulty, 0) / found.length)))
+    : null;
+
+  return { difficulty, matches };
+}
+
+module.exports = {
+  MIN_CALIBRATION_PLAYS,
+  getPuzzleDifficulty,
+  getClueDifficulty,
+  calibrateDifficulty,
+  suggestDifficulty
+};
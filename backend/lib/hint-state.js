@@ -0,0 +1,126 @@
+const { isLinkingIndex } = require('./linking');
+
+// A clue's hint state is rebuilt from the session's recorded events rather than trusted from the
+// client. Each word is 'empty', 'first_letter', 'full_word', 'half' (uncovered by a reveal_half
+// hint) or 'locked' (a word feedback guess got it right)
+const REVEALED_STATES = ['full_word', 'half', 'locked'];
+
+function isRevealed(word) {
+  return REVEALED_STATES.includes(word.state);
+}
+
+// Blanks for letters, with punctuation always showing and optionally the first letter
+function maskWord(word, showFirstLetter = false) {
+  let firstLetterShown = !showFirstLetter;
+  return word.split('').map(char => {
+    if (!/[A-Za-z]/.test(char)) return char;
+    if (!firstLetterShown) {
+      firstLetterShown = true;
+      return char.toUpperCase();
+    }
+    return '_';
+  });
+}
+
+function isInHalf(linkSpan, half, index) {
+  return half === 'before' ? index <= linkSpan.end : index >= linkSpan.start;
+}
+
+// The linking word(s) unlock once every other word is revealed
+function isLinkingUnlocked(words) {
+  return words.filter(word => !word.is_linking).every(isRevealed);
+}
+
+// The words a reveal_half hint would uncover: the half's unrevealed words, leaving out the linking
+// word(s) until they've been unlocked - a half reveal doesn't get around the linking word rule
+function getHalfRevealWords(words, linkSpan, half) {
+  if (!linkSpan) return [];
+  const linkingUnlocked = isLinkingUnlocked(words);
+  return words.filter(word => isInHalf(linkSpan, half, word.word_index) && !isRevealed(word) &&
+    (!word.is_linking || linkingUnlocked));
+}
+
+// events: this clue's session events, oldest first
+function buildHintState(answer, linkSpan, events) {
+  const answerWords = answer.split(' ');
+  const words = answerWords.map((word, index) => ({
+    word_index: index,
+    length: word.length,
+    is_linking: isLinkingIndex(linkSpan, index),
+    state: 'empty'
+  }));
+  let structureRevealed = false;
+  const revealedHalves = [];
+
+  events.forEach(event => {
+    if (event.event_type === 'guess') {
+      (event.locked_words || []).forEach(index => {
+        if (words[index] && !isRevealed(words[index])) words[index].state = 'locked';
+      });
+      return;
+    }
+
+    const word = words[event.word_index];
+    if (event.hint_type === 'structure') {
+      structureRevealed = true;
+    } else if (event.hint_type === 'first_letter' && word && word.state === 'empty') {
+      word.state = 'first_letter';
+    } else if (event.hint_type === 'full_word' && word && !isRevealed(word)) {
+      word.first_letter_hinted = word.state === 'first_letter';
+      word.state = 'full_word';
+    } else if (event.hint_type === 'reveal_half' && linkSpan) {
+      revealedHalves.push(event.half);
+      getHalfRevealWords(words, linkSpan, event.half).forEach(w => {
+        w.first_letter_hinted = w.state === 'first_letter';
+        w.state = 'half';
+      });
+    }
+  });
+
+  const linkingUnlocked = isLinkingUnlocked(words);
+
+  return {
+    structure_revealed: structureRevealed,
+    revealed_halves: revealedHalves,
+    linking_available: linkingUnlocked,
+    word_structure: words.map(word => ({
+      ...word,
+      letters: isRevealed(word) ? answerWords[word.word_index].split('') : maskWord(answerWords[word.word_index], word.state === 'first_letter'),
+      clickable: !isRevealed(word) && (!word.is_linking || linkingUnlocked)
+    }))
+  };
+}
+
+// Why a hint can't be given in this state, or null if it can. hintType is undefined for the structure
+function getHintStateError(state, linkSpan, hintType, wordIndex, half) {
+  if (!hintType || hintType === 'structure') return null;
+
+  if (!state.structure_revealed) {
+    return 'Reveal the word structure first';
+  }
+
+  if (hintType === 'reveal_half') {
+    // A half is only revealed (and charged) once - the linking word it left covered takes a word hint
+    const halfWords = linkSpan ? state.word_structure.filter(word => isInHalf(linkSpan, half, word.word_index)) : [];
+    if (state.revealed_halves.includes(half) || (halfWords.length > 0 && halfWords.every(isRevealed))) {
+      return 'That half is already revealed';
+    }
+    if (halfWords.length > 0 && getHalfRevealWords(state.word_structure, linkSpan, half).length === 0) {
+      return 'Reveal every other word first to unlock the linking word';
+    }
+    return null;
+  }
+
+  const word = state.word_structure[wordIndex];
+  if (!word || hintType === 'check_linking_available') return null;
+
+  if (isRevealed(word)) {
+    return 'That word is already revealed';
+  }
+  if (word.is_linking && !state.linking_available) {
+    return 'Reveal every other word first to unlock the linking word';
+  }
+  return null;
+}
+
+module.exports = { buildHintState, getHintStateError, getHalfRevealWords };
@@ -0,0 +1,29 @@
+// Leaderboards show usernames for logged-in players. Anonymous results get a handle built from the
+// result id ("Swift Otter"), so the same play keeps the same name without storing anything new
+const HANDLE_ADJECTIVES = [
+  'Swift', 'Clever', 'Quiet', 'Bold', 'Lucky', 'Witty', 'Brave', 'Curious',
+  'Nimble', 'Sunny', 'Cosmic', 'Mellow', 'Plucky', 'Jolly', 'Crafty', 'Zesty'
+];
+const HANDLE_ANIMALS = [
+  'Otter', 'Falcon', 'Badger', 'Panda', 'Heron', 'Lynx', 'Koala', 'Puffin',
+  'Gecko', 'Walrus', 'Ferret', 'Moose', 'Toucan', 'Marmot', 'Newt', 'Yak'
+];
+
+const DEFAULT_LEADERBOARD_SIZE = 10;
+const MAX_LEADERBOARD_SIZE = 100;
+
+// Neighbouring ids get different animals as well as different adjectives, and the first 256 ids
+// each get their own handle
+function anonymousHandle(resultId) {
+  const adjective = HANDLE_ADJECTIVES[resultId % HANDLE_ADJECTIVES.length];
+  const animalIndex = resultId * 5 + Math.floor(resultId / HANDLE_ADJECTIVES.length);
+  return `${adjective} ${HANDLE_ANIMALS[animalIndex % HANDLE_ANIMALS.length]}`;
+}
+
+// Share of the day's other players this rank finished ahead of, 0-100
+function getPercentile(rank, totalPlayers) {
+  if (totalPlayers <= 1) return 100;
+  return Math.round(((totalPlayers - rank) / (totalPlayers - 1)) * 100);
+}
+
+module.exports = { DEFAULT_LEADERBOARD_SIZE, MAX_LEADERBOARD_SIZE, anonymousHandle, getPercentile };
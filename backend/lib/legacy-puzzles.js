@@ -0,0 +1,198 @@
+const { resolveLinkingSpan } = require('./linking');
+const { resolveClueHalves } = require('./clue-halves');
+const { PUZZLE_STATUSES, recordAudit } = require('./review');
+
+// Moves clues from the legacy single-clue `puzzles` table into 5-clue daily puzzles.
+// Rows are marked migrated once copied, so running it again only picks up what's left.
+// Migrated puzzles are drafts (so they go through review) unless an admin asks for another status
+const CLUES_PER_PUZZLE = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function getUnmigratedPuzzles(client) {
+  const result = await client.query(`
+    SELECT id, TO_CHAR(date, 'YYYY-MM-DD') as date, clue, answer, linking_word,
+           difficulty, is_active, created_by
+    FROM puzzles
+    WHERE migrated = false OR migrated IS NULL
+    ORDER BY date ASC, id ASC
+  `);
+  return result.rows;
+}
+
+function isNextDay(previous, next) {
+  return Date.parse(`${next}T00:00:00Z`) - Date.parse(`${previous}T00:00:00Z`) === DAY_MS;
+}
+
+// Default grouping: five clues from five consecutive days, dated by the first of them. A missing
+// day starts a new run, and a run that doesn't reach five clues is left for an admin to group
+function groupByDate(puzzles) {
+  const groups = [];
+  let run = [];
+
+  for (const puzzle of puzzles) {
+    if (run.length > 0 && !isNextDay(run[run.length - 1].date, puzzle.date)) {
+      run = [];
+    }
+    run.push(puzzle);
+
+    if (run.length === CLUES_PER_PUZZLE) {
+      groups.push({ date: run[0].date, puzzles: run });
+      run = [];
+    }
+  }
+  return groups;
+}
+
+// Admin-chosen grouping: [{ date, puzzleIds: [five legacy ids in clue order] }]
+function groupByIds(puzzles, requestedGroups) {
+  const byId = new Map(puzzles.map(puzzle => [puzzle.id, puzzle]));
+  const used = new Set();
+
+  return requestedGroups.map((group, index) => {
+    const label = `Group ${index + 1}`;
+    const ids = Array.isArray(group.puzzleIds) ? group.puzzleIds.map(id => parseInt(id)) : [];
+
+    if (!group.date || !/^\d{4}-\d{2}-\d{2}$/.test(group.date)) {
+      return { date: group.date, puzzles: [], error: `${label}: A YYYY-MM-DD date is required` };
+    }
+    if (ids.length !== CLUES_PER_PUZZLE) {
+      return { date: group.date, puzzles: [], error: `${label}: Exactly ${CLUES_PER_PUZZLE} legacy puzzle ids are required` };
+    }
+
+    for (const id of ids) {
+      if (!byId.has(id)) {
+        return { date: group.date, puzzles: [], error: `${label}: Legacy puzzle ${id} doesn't exist or is already migrated` };
+      }
+      if (used.has(id)) {
+        return { date: group.date, puzzles: [], error: `${label}: Legacy puzzle ${id} is used in more than one group` };
+      }
+    }
+
+    ids.forEach(id => used.add(id));
+    return { date: group.date, puzzles: ids.map(id => byId.get(id)) };
+  });
+}
+
+// Reasons a group can't become a daily puzzle, beyond the grouping itself
+function findGroupProblem(group, takenDates) {
+  if (group.error) {
+    return group.error;
+  }
+  if (takenDates.has(group.date)) {
+    return `A daily puzzle already exists for ${group.date}`;
+  }
+
+  for (const puzzle of group.puzzles) {
+    const span = resolveLinkingSpan(puzzle.answer.toUpperCase(), puzzle.linking_word.toUpperCase());
+    if (span.error) {
+      return `Legacy puzzle ${puzzle.id}: ${span.error}`;
+    }
+  }
+
+  return null;
+}
+
+// Plan (and unless dryRun, apply) the migration. Returns a report of what was/would be created.
+// Runs on the caller's client inside a single transaction so a failure migrates nothing.
+async function migrateLegacyPuzzles(client, { dryRun = false, groups, createdBy = null, status = 'draft' } = {}) {
+  if (!PUZZLE_STATUSES.includes(status)) {
+    throw new Error(`Status must be one of: ${PUZZLE_STATUSES.join(', ')}`);
+  }
+
+  await client.query('BEGIN');
+
+  try {
+    const puzzles = await getUnmigratedPuzzles(client);
+    const plannedGroups = groups ? groupByIds(puzzles, groups) : groupByDate(puzzles);
+
+    const existingDates = await client.query(`SELECT TO_CHAR(date, 'YYYY-MM-DD') as date FROM daily_puzzles`);
+    const takenDates = new Set(existingDates.rows.map(row => row.date));
+
+    const report = {
+      dryRun,
+      status,
+      unmigrated: puzzles.length,
+      created: [],
+      skipped: [],
+      leftover: []
+    };
+
+    for (const group of plannedGroups) {
+      const problem = findGroupProblem(group, takenDates);
+      if (problem) {
+        report.skipped.push({ date: group.date, puzzleIds: group.puzzles.map(p => p.id), reason: problem });
+        continue;
+      }
+
+      takenDates.add(group.date);
+      const entry = {
+        date: group.date,
+        puzzleIds: group.puzzles.map(p => p.id),
+        answers: group.puzzles.map(p => p.answer.toUpperCase())
+      };
+
+      if (!dryRun) {
+        entry.dailyPuzzleId = await createDailyPuzzle(client, group, createdBy, status);
+      }
+      report.created.push(entry);
+    }
+
+    // Anything not placed in a group stays in the legacy table for a later run
+    const grouped = new Set(report.created.flatMap(entry => entry.puzzleIds));
+    report.leftover = puzzles.filter(p => !grouped.has(p.id)).map(p => p.id);
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return report;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function createDailyPuzzle(client, group, createdBy, status) {
+  const { puzzles } = group;
+  const difficulty = Math.round(puzzles.reduce((sum, p) => sum + (p.difficulty || 1), 0) / puzzles.length);
+  const isActive = puzzles.every(p => p.is_active !== false);
+
+  const dailyPuzzleResult = await client.query(`
+    INSERT INTO daily_puzzles (date, difficulty, is_active, created_by, status)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id
+  `, [group.date, difficulty, isActive, createdBy || puzzles[0].created_by, status]);
+
+  const dailyPuzzleId = dailyPuzzleResult.rows[0].id;
+
+  for (let i = 0; i < puzzles.length; i++) {
+    const answer = puzzles[i].answer.toUpperCase();
+    const linkingWord = puzzles[i].linking_word.toUpperCase();
+    const span = resolveLinkingSpan(answer, linkingWord);
+    const halves = resolveClueHalves({ clue: puzzles[i].clue }, answer, linkingWord, span);
+
+    await client.query(`
+      INSERT INTO puzzle_clues (
+        daily_puzzle_id, clue_number, clue, answer, linking_word, link_start, link_end,
+        before_clue, after_clue, before_phrase, after_phrase
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [
+      dailyPuzzleId, i + 1, puzzles[i].clue, answer, linkingWord, span.start, span.end,
+      halves.beforeClue, halves.afterClue, halves.beforePhrase, halves.afterPhrase
+    ]);
+  }
+
+  await client.query(
+    'UPDATE puzzles SET migrated = true WHERE id = ANY($1)',
+    [puzzles.map(p => p.id)]
+  );
+
+  await recordAudit(client, dailyPuzzleId, createdBy, 'imported', {
+    date: group.date,
+    status,
+    legacy_ids: puzzles.map(p => p.id)
+  });
+
+  return dailyPuzzleId;
+}
+
+module.exports = { migrateLegacyPuzzles, CLUES_PER_PUZZLE };
@@ -0,0 +1,69 @@
+const { normalizeAnswer } = require('./answers');
+
+// The linking span is the run of answer words shared by the before and after phrases, stored as
+// inclusive word offsets (link_start/link_end) so multi-word links ("ICE CREAM") and links whose
+// words also appear elsewhere in the answer are unambiguous. It always has at least one word on
+// each side: the before phrase is words[0..link_end], the after phrase is words[link_start..]
+
+function splitWords(text) {
+  return text.trim().split(/\s+/);
+}
+
+// Every interior position the linking word(s) could start at in the answer
+function findLinkingStarts(answer, linkingWord) {
+  const words = splitWords(answer).map(normalizeAnswer);
+  const linkWords = splitWords(linkingWord).map(normalizeAnswer);
+  const starts = [];
+
+  for (let start = 1; start + linkWords.length < words.length; start++) {
+    if (linkWords.every((word, offset) => words[start + offset] === word)) {
+      starts.push(start);
+    }
+  }
+
+  return starts;
+}
+
+// Work out the span for a clue being saved. Explicit offsets are checked against the answer;
+// without them the link has to appear in exactly one place. Returns { start, end } or { error }
+function resolveLinkingSpan(answer, linkingWord, linkStart, linkEnd) {
+  const linkLength = splitWords(linkingWord).length;
+  const starts = findLinkingStarts(answer, linkingWord);
+
+  if (linkStart !== undefined && linkStart !== null) {
+    const start = Number(linkStart);
+    const end = linkEnd === undefined || linkEnd === null ? start + linkLength - 1 : Number(linkEnd);
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || end - start + 1 !== linkLength || !starts.includes(start)) {
+      return { error: 'Linking word position doesn\'t match the answer - it must cover the linking word with words before and after it' };
+    }
+    return { start, end };
+  }
+
+  if (starts.length === 0) {
+    return { error: 'Linking word must be whole word(s) in the answer with words before and after it' };
+  }
+  if (starts.length > 1) {
+    return { error: 'Linking word appears more than once in the answer - choose which word it starts at' };
+  }
+
+  return { start: starts[0], end: starts[0] + linkLength - 1 };
+}
+
+// The span for a stored clue - its saved offsets, or the first place the link fits for rows
+// saved before offsets existed. Returns null if the link can't be found
+function getLinkingSpan(clue) {
+  if (Number.isInteger(clue.link_start) && Number.isInteger(clue.link_end)) {
+    return { start: clue.link_start, end: clue.link_end };
+  }
+
+  const [start] = findLinkingStarts(clue.answer, clue.linking_word);
+  if (start === undefined) return null;
+  return { start, end: start + splitWords(clue.linking_word).length - 1 };
+}
+
+function isLinkingIndex(span, index) {
+  return !!span && index >= span.start && index <= span.end;
+}
+
+module.exports = { findLinkingStarts, resolveLinkingSpan, getLinkingSpan, isLinkingIndex };
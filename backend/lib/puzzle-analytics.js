@@ -0,0 +1,98 @@
+// Per-clue analytics for a puzzle, built from the clue_results and hint_breakdown JSON stored with
+// each game result. Results from before sessions were scored on the server may be missing fields
+// or not parse at all, so every field is optional and unreadable rows are skipped. Results only
+// carry wrong answer counts - the text of wrong guesses comes from the opt-in guess log
+
+// Hint depth buckets: how many hints a play used on a clue, with everything from 4 up together
+const HINT_DEPTHS = ['0', '1', '2', '3', '4+'];
+
+// Hint funnel stages, in the order a player works through them. Structure always comes first, so
+// any hint counts as reaching it; the later stages need the recorded hint types
+const WORD_HINT_TYPES = ['first_letter', 'full_word'];
+
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text) || fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function parseClueResults(text) {
+  const parsed = parseJson(text, []);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+// Clue numbers that had a half revealed. Results saved before hint types were kept per clue only
+// have this in their hint_breakdown
+function parseRevealedHalfClues(text) {
+  const halves = parseJson(text, {}).halves_revealed;
+  return new Set(Array.isArray(halves) ? halves.map(half => half.clue_number) : []);
+}
+
+function getHintDepth(hintsUsed) {
+  return hintsUsed >= 4 ? '4+' : String(hintsUsed);
+}
+
+function percentage(count, total) {
+  return total ? Math.round((count / total) * 100) : null;
+}
+
+function average(sum, total) {
+  return total ? Math.round((sum / total) * 100) / 100 : null;
+}
+
+// clues: the puzzle's clue rows; results: game_results rows with clue_results and hint_breakdown text
+function buildClueAnalytics(clues, results) {
+  const byClue = new Map(clues.map(clue => [clue.clue_number, {
+    plays: 0,
+    solvedWithoutHints: 0,
+    hintsUsed: 0,
+    wrongAnswers: 0,
+    hintDepth: Object.fromEntries(HINT_DEPTHS.map(depth => [depth, 0])),
+    funnel: { structure: 0, word_hints: 0, reveal_half: 0 }
+  }]));
+
+  results.forEach(result => {
+    const revealedHalfClues = parseRevealedHalfClues(result.hint_breakdown);
+
+    parseClueResults(result.clue_results).forEach(clueResult => {
+      const stats = clueResult && byClue.get(clueResult.clue_number);
+      if (!stats) return;
+
+      const hintsUsed = clueResult.hints_used || 0;
+      const hintTypes = clueResult.hint_types || [];
+      const revealedHalf = clueResult.hint_types
+        ? hintTypes.includes('reveal_half')
+        : revealedHalfClues.has(clueResult.clue_number);
+
+      stats.plays++;
+      stats.hintsUsed += hintsUsed;
+      stats.wrongAnswers += clueResult.wrong_answers || 0;
+      stats.hintDepth[getHintDepth(hintsUsed)]++;
+      if (hintsUsed === 0) stats.solvedWithoutHints++;
+
+      if (hintsUsed > 0) stats.funnel.structure++;
+      if (hintTypes.some(type => WORD_HINT_TYPES.includes(type))) stats.funnel.word_hints++;
+      if (revealedHalf) stats.funnel.reveal_half++;
+    });
+  });
+
+  return clues.map(clue => {
+    const stats = byClue.get(clue.clue_number);
+
+    return {
+      clue_number: clue.clue_number,
+      clue: clue.clue,
+      answer: clue.answer,
+      plays: stats.plays,
+      no_hint_solve_rate: percentage(stats.solvedWithoutHints, stats.plays),
+      avg_hints: average(stats.hintsUsed, stats.plays),
+      hint_depth: stats.hintDepth,
+      hint_funnel: stats.funnel,
+      avg_wrong_answers: average(stats.wrongAnswers, stats.plays)
+    };
+  });
+}
+
+module.exports = { HINT_DEPTHS, buildClueAnalytics };
@@ -0,0 +1,99 @@
+// Puzzles are written as drafts, sent for review, approved and then published - only published
+// puzzles are ever served to players. Editors write puzzles, send them for review and comment on
+// them; admins can do all of that and also approve, publish and pull a puzzle back to draft
+const PUZZLE_STATUSES = ['draft', 'in_review', 'approved', 'published'];
+const ADMIN_ROLES = ['editor', 'admin'];
+
+// Allowed status changes and the role each one needs
+const STATUS_TRANSITIONS = {
+  draft: { in_review: 'editor' },
+  in_review: { draft: 'editor', approved: 'admin' },
+  approved: { published: 'admin', in_review: 'admin', draft: 'admin' },
+  published: { draft: 'admin' }
+};
+
+// Editors can change a puzzle until it's approved; after that only admins can
+const EDITOR_EDITABLE_STATUSES = ['draft', 'in_review'];
+
+function hasRole(user, role) {
+  return role === 'admin' ? user.isAdmin : user.isEditor;
+}
+
+// Why this user can't move a puzzle from one status to another ({ error, status }), or null if they can
+function getTransitionError(from, to, user) {
+  if (!PUZZLE_STATUSES.includes(to)) {
+    return { error: `Status must be one of: ${PUZZLE_STATUSES.join(', ')}`, status: 400 };
+  }
+  if (from === to) {
+    return { error: `Puzzle is already ${to}`, status: 400 };
+  }
+
+  const requiredRole = STATUS_TRANSITIONS[from][to];
+  if (!requiredRole) {
+    return { error: `A ${from} puzzle can't be moved to ${to}`, status: 400 };
+  }
+  if (!hasRole(user, requiredRole)) {
+    return { error: `Only admins can move a puzzle from ${from} to ${to}`, status: 403 };
+  }
+  return null;
+}
+
+function getEditError(status, user) {
+  if (user.isAdmin || EDITOR_EDITABLE_STATUSES.includes(status)) return null;
+  return `Only admins can change a puzzle once it's ${status}`;
+}
+
+// What an update changed, for the audit log. before/after: { date, difficulty, clues } with clues
+// as { clue, answer, linking_word } in order
+function describeChanges(before, after) {
+  const changes = [];
+
+  if ((before.date || null) !== (after.date || null)) {
+    changes.push(`date: ${before.date || 'reserve'} -> ${after.date || 'reserve'}`);
+  }
+  if (before.difficulty !== after.difficulty) {
+    changes.push(`difficulty: ${before.difficulty} -> ${after.difficulty}`);
+  }
+  if (before.clues.length !== after.clues.length) {
+    changes.push(`clues: ${before.clues.length} -> ${after.clues.length}`);
+  }
+
+  after.clues.forEach((clue, index) => {
+    const previous = before.clues[index];
+    if (!previous) return;
+    const fields = ['clue', 'answer', 'linking_word'].filter(field => previous[field] !== clue[field]);
+    if (fields.length > 0) {
+      changes.push(`clue ${index + 1}: ${fields.join(', ')}`);
+    }
+  });
+
+  return changes;
+}
+
+// Record who did what to a puzzle. userId is null for changes the app makes itself
+async function recordAudit(db, dailyPuzzleId, userId, action, details = null) {
+  await db.query(`
+    INSERT INTO puzzle_audit_log (daily_puzzle_id, user_id, action, details)
+    VALUES ($1, $2, $3, $4)
+  `, [dailyPuzzleId, userId, action, details ? JSON.stringify(details) : null]);
+}
+
+function toAuditEntry(row) {
+  let details = null;
+  try {
+    details = row.details ? JSON.parse(row.details) : null;
+  } catch (error) {
+    details = row.details;
+  }
+  return { ...row, details };
+}
+
+module.exports = {
+  PUZZLE_STATUSES,
+  ADMIN_ROLES,
+  getTransitionError,
+  getEditError,
+  describeChanges,
+  recordAudit,
+  toAuditEntry
+};
@@ -0,0 +1,246 @@
+const { addDays } = require('./dates');
+const { recordAudit } = require('./review');
+
+// Puzzle scheduling. A puzzle with no date sits in the reserve pool until it's given one. When a
+// day comes up with no puzzle at all, the fallback policy decides what /today serves:
+//   'none'           - nothing (the game shows its error screen)
+//   'reserve'        - the oldest published reserve puzzle is scheduled for the day
+//   'replay_archive' - a random past puzzle is copied onto the day (replay_of points at the original)
+// Either way the day then has a real puzzle, so every player gets the same one and it shows up in
+// the archive and stats like any other. A day held by an inactive or unpublished puzzle isn't empty,
+// so it isn't filled - the schedule reports it as blocked until the puzzle is published or moved
+const FALLBACK_POLICIES = ['none', 'reserve', 'replay_archive'];
+const FALLBACK_POLICY_KEY = 'empty_day_fallback';
+const DEFAULT_FALLBACK_POLICY = 'none';
+
+const SCHEDULE_DAYS = 60;
+
+// Postgres unique_violation - another request filled the day first
+const UNIQUE_VIOLATION = '23505';
+
+async function getFallbackPolicy(db) {
+  const result = await db.query(`SELECT value FROM app_settings WHERE key = $1`, [FALLBACK_POLICY_KEY]);
+  const policy = result.rows[0] && result.rows[0].value;
+  return FALLBACK_POLICIES.includes(policy) ? policy : DEFAULT_FALLBACK_POLICY;
+}
+
+async function setFallbackPolicy(db, policy) {
+  await db.query(`
+    INSERT INTO app_settings (key, value, updated_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP)
+    ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP
+  `, [FALLBACK_POLICY_KEY, policy]);
+}
+
+async function scheduleFromReserve(client, date) {
+  const result = await client.query(`
+    UPDATE daily_puzzles SET date = $1
+    WHERE id = (
+      SELECT id FROM daily_puzzles
+      WHERE date IS NULL AND is_active = true AND status = 'published'
+      ORDER BY id
+      LIMIT 1
+    )
+    RETURNING id
+  `, [date]);
+  return result.rows[0] ? result.rows[0].id : null;
+}
+
+async function replayFromArchive(client, date) {
+  const sourceResult = await client.query(`
+    SELECT id, difficulty, scoring_rules FROM daily_puzzles dp
+    WHERE date < $1 AND is_active = true AND status = 'published' AND replay_of IS NULL
+      AND EXISTS (SELECT 1 FROM puzzle_clues pc WHERE pc.daily_puzzle_id = dp.id)
+    ORDER BY RANDOM()
+    LIMIT 1
+  `, [date]);
+
+  const source = sourceResult.rows[0];
+  if (!source) return null;
+
+  const puzzleResult = await client.query(`
+    INSERT INTO daily_puzzles (date, difficulty, scoring_rules, replay_of, status)
+    VALUES ($1, $2, $3, $4, 'published')
+    RETURNING id
+  `, [date, source.difficulty, source.scoring_rules, source.id]);
+
+  const dailyPuzzleId = puzzleResult.rows[0].id;
+
+  await client.query(`
+    INSERT INTO puzzle_clues (
+      daily_puzzle_id, clue_number, clue, answer, linking_word, link_start, link_end,
+      before_clue, after_clue, before_phrase, after_phrase
+    )
+    SELECT $1, clue_number, clue, answer, linking_word, link_start, link_end,
+           before_clue, after_clue, before_phrase, after_phrase
+    FROM puzzle_clues
+    WHERE daily_puzzle_id = $2
+  `, [dailyPuzzleId, source.id]);
+
+  await client.query(`
+    INSERT INTO puzzle_clue_alternates (puzzle_clue_id, answer)
+    SELECT copy.id, pca.answer
+    FROM puzzle_clue_alternates pca
+    JOIN puzzle_clues original ON pca.puzzle_clue_id = original.id AND original.daily_puzzle_id = $2
+    JOIN puzzle_clues copy ON copy.daily_puzzle_id = $1 AND copy.clue_number = original.clue_number
+  `, [dailyPuzzleId, source.id]);
+
+  return dailyPuzzleId;
+}
+
+// Give an empty day a puzzle under the fallback policy. Returns the new puzzle's id, or null if
+// the policy is 'none', there was nothing to use, or the day already has a puzzle
+async function fillEmptyDay(client, date) {
+  const policy = await getFallbackPolicy(client);
+  if (policy === 'none') return null;
+
+  await client.query('BEGIN');
+
+  try {
+    const takenResult = await client.query(`SELECT 1 FROM daily_puzzles WHERE date = $1`, [date]);
+    if (takenResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const dailyPuzzleId = policy === 'reserve'
+      ? await scheduleFromReserve(client, date)
+      : await replayFromArchive(client, date);
+
+    if (dailyPuzzleId) {
+      await recordAudit(client, dailyPuzzleId, null, 'filled_empty_day', { date, policy });
+    }
+
+    await client.query('COMMIT');
+
+    if (dailyPuzzleId) {
+      console.log(`📅 Filled empty day ${date} with puzzle ${dailyPuzzleId} (${policy})`);
+    } else {
+      console.warn(`⚠️  No puzzle for ${date} and nothing to fill it with (${policy})`);
+    }
+    return dailyPuzzleId;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === UNIQUE_VIOLATION) return null;
+    throw error;
+  }
+}
+
+// The next `days` days from today with the puzzle on each (null for a gap), plus the reserve pool.
+// A day whose puzzle is inactive or not yet published is blocked rather than a gap: players would
+// get nothing, but the empty day fallback won't fill it either
+async function getSchedule(db, today, days = SCHEDULE_DAYS) {
+  const lastDate = addDays(today, days - 1);
+
+  const puzzlesResult = await db.query(`
+    SELECT dp.id, TO_CHAR(dp.date, 'YYYY-MM-DD') as date, dp.difficulty, dp.is_active, dp.status, dp.replay_of,
+           COALESCE(
+             (SELECT ARRAY_AGG(pc.linking_word ORDER BY pc.clue_number) FROM puzzle_clues pc WHERE pc.daily_puzzle_id = dp.id),
+             '{}'
+           ) as linking_words
+    FROM daily_puzzles dp
+    WHERE (dp.date >= $1 AND dp.date <= $2) OR dp.date IS NULL
+    ORDER BY dp.date, dp.id
+  `, [today, lastDate]);
+
+  const byDate = new Map(puzzlesResult.rows.filter(puzzle => puzzle.date).map(puzzle => [puzzle.date, puzzle]));
+  const schedule = Array.from({ length: days }, (_, index) => {
+    const date = addDays(today, index);
+    const puzzle = byDate.get(date) || null;
+    return {
+      date,
+      puzzle,
+      is_gap: !puzzle,
+      is_blocked: !!puzzle && (!puzzle.is_active || puzzle.status !== 'published')
+    };
+  });
+
+  return {
+    days: schedule,
+    gaps: schedule.filter(day => day.is_gap).map(day => day.date),
+    blocked: schedule.filter(day => day.is_blocked).map(day => day.date),
+    reserve: puzzlesResult.rows.filter(puzzle => !puzzle.date)
+  };
+}
+
+// Move a puzzle to another date, or to the reserve pool (targetDate null). Only upcoming days can
+// change: today's puzzle may already be mid-play, so it can't be moved, and a puzzle can only be
+// dropped onto today if today is empty. Dropping onto a day that has a puzzle swaps the two.
+// Returns { moved, swapped } or { error }. userId is who made the move, for the audit log
+async function movePuzzle(client, dailyPuzzleId, targetDate, today, userId) {
+  await client.query('BEGIN');
+
+  try {
+    const puzzleResult = await client.query(`
+      SELECT id, TO_CHAR(date, 'YYYY-MM-DD') as date FROM daily_puzzles WHERE id = $1
+    `, [dailyPuzzleId]);
+
+    const puzzle = puzzleResult.rows[0];
+    if (!puzzle) {
+      await client.query('ROLLBACK');
+      return { error: 'Daily puzzle not found', status: 404 };
+    }
+
+    const error = getMoveError(puzzle.date, targetDate, today);
+    if (error) {
+      await client.query('ROLLBACK');
+      return { error, status: 400 };
+    }
+
+    const occupantResult = targetDate
+      ? await client.query(`SELECT id FROM daily_puzzles WHERE date = $1`, [targetDate])
+      : { rows: [] };
+    const occupant = occupantResult.rows[0];
+
+    if (occupant && occupant.id === puzzle.id) {
+      await client.query('ROLLBACK');
+      return { moved: puzzle.id, swapped: null };
+    }
+    if (occupant && targetDate === today) {
+      await client.query('ROLLBACK');
+      return { error: 'Today already has a puzzle', status: 400 };
+    }
+
+    // Clear the moving puzzle's date first so the swap doesn't trip the unique date
+    await client.query(`UPDATE daily_puzzles SET date = NULL WHERE id = $1`, [puzzle.id]);
+    if (occupant) {
+      await client.query(`UPDATE daily_puzzles SET date = $2 WHERE id = $1`, [occupant.id, puzzle.date]);
+    }
+    await client.query(`UPDATE daily_puzzles SET date = $2 WHERE id = $1`, [puzzle.id, targetDate]);
+
+    await recordAudit(client, puzzle.id, userId, 'moved', { from: puzzle.date, to: targetDate });
+    if (occupant) {
+      await recordAudit(client, occupant.id, userId, 'moved', { from: targetDate, to: puzzle.date });
+    }
+
+    await client.query('COMMIT');
+    return { moved: puzzle.id, swapped: occupant ? occupant.id : null };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+function getMoveError(fromDate, targetDate, today) {
+  if (fromDate && fromDate <= today) {
+    return fromDate === today
+      ? 'Today\'s puzzle can\'t be moved - players may already be playing it'
+      : 'Past puzzles can\'t be rescheduled';
+  }
+  if (targetDate && targetDate < today) {
+    return 'Puzzles can\'t be moved into the past';
+  }
+  return null;
+}
+
+module.exports = {
+  FALLBACK_POLICIES,
+  SCHEDULE_DAYS,
+  getFallbackPolicy,
+  setFallbackPolicy,
+  fillEmptyDay,
+  getSchedule,
+  movePuzzle
+};
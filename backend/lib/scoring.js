@@ -0,0 +1,90 @@
+// Points taken off the 100 a player starts with. A puzzle can override any of
+// these through daily_puzzles.scoring_rules (a JSON object with the same keys)
+const DEFAULT_SCORING_RULES = {
+  wrong_answer: 2,
+  structure_hint: 5,
+  word_first_letter: 3,
+  word_full_word: 3,
+  linking_first_letter: 5,
+  linking_full_word: 5,
+  // Uncovers the before or after phrase at once (the linking word only once it's unlocked)
+  reveal_half: 10,
+  // Replaces wrong_answer in word feedback mode, where every wrong guess also tells you which words are right
+  word_feedback_guess: 4
+};
+
+const MAX_SCORE = 100;
+
+// Hard mode has no hints; instead a fast finish earns a bonus on top of the usual score.
+// The bonus starts at max and halves every halfLife seconds
+const HARD_MODE_TIME_BONUS = {
+  max: 50,
+  halfLife: 120
+};
+
+function getTimeBonus(completionTime) {
+  if (completionTime === null || completionTime === undefined) return 0;
+  return Math.round(HARD_MODE_TIME_BONUS.max * Math.pow(0.5, completionTime / HARD_MODE_TIME_BONUS.halfLife));
+}
+
+// Check an override object from the admin API - returns an error message, or null if it's valid
+function validateScoringRules(overrides) {
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return 'Scoring rules must be an object';
+  }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in DEFAULT_SCORING_RULES)) {
+      return `Unknown scoring rule: ${key}`;
+    }
+    if (!Number.isInteger(value) || value < 0 || value > MAX_SCORE) {
+      return `Scoring rule ${key} must be a whole number between 0 and ${MAX_SCORE}`;
+    }
+  }
+
+  return null;
+}
+
+// Full rule set for a puzzle: the defaults with its stored overrides applied
+function resolveScoringRules(storedOverrides) {
+  let overrides = storedOverrides || {};
+
+  if (typeof overrides === 'string') {
+    try {
+      overrides = JSON.parse(overrides);
+    } catch (error) {
+      console.error('Invalid scoring_rules JSON, using defaults:', error.message);
+      overrides = {};
+    }
+  }
+
+  const rules = { ...DEFAULT_SCORING_RULES };
+  Object.keys(DEFAULT_SCORING_RULES).forEach(key => {
+    if (Number.isInteger(overrides[key]) && overrides[key] >= 0) {
+      rules[key] = overrides[key];
+    }
+  });
+
+  return rules;
+}
+
+// Penalty for a hint: 'structure', 'reveal_half', or 'first_letter' / 'full_word' on a regular or linking word
+function getHintPenalty(rules, hintType, isLinking = false) {
+  if (hintType === 'structure') {
+    return rules.structure_hint;
+  }
+  if (hintType === 'reveal_half') {
+    return rules.reveal_half;
+  }
+  return rules[`${isLinking ? 'linking' : 'word'}_${hintType}`] || 0;
+}
+
+module.exports = {
+  DEFAULT_SCORING_RULES,
+  MAX_SCORE,
+  HARD_MODE_TIME_BONUS,
+  getTimeBonus,
+  validateScoringRules,
+  resolveScoringRules,
+  getHintPenalty
+};
@@ -0,0 +1,22 @@
+const { toDayNumber } = require('./dates');
+
+// Current and best runs of consecutive puzzle dates played (YYYY-MM-DD strings).
+// The current streak only survives if the latest play was for today or yesterday.
+function calculateStreaks(playedDates, today) {
+  const days = [...new Set(playedDates.map(toDayNumber))].sort((a, b) => a - b);
+
+  let run = 0;
+  let bestStreak = 0;
+
+  days.forEach((day, index) => {
+    run = index > 0 && day === days[index - 1] + 1 ? run + 1 : 1;
+    bestStreak = Math.max(bestStreak, run);
+  });
+
+  const lastDay = days[days.length - 1];
+  const currentStreak = days.length > 0 && toDayNumber(today) - lastDay <= 1 ? run : 0;
+
+  return { currentStreak, bestStreak };
+}
+
+module.exports = { calculateStreaks };
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../db-connection');
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque random strings
+// whose SHA-256 hash is stored in admin_sessions so they can be revoked on logout.
+// Admins and players share the same token scheme - the role claim tells them apart.
+// Admin-page users (is_admin) are editors or full admins. Their role is looked up again on every
+// admin request, so a role change applies straight away rather than when the access token expires
+const JWT_SECRET = process.env.JWT_SECRET || (() => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('⚠️  JWT_SECRET not set - using an insecure development secret');
+  return 'dev-only-insecure-jwt-secret';
+})();
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '1h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+function getRole(user) {
+  if (!user.is_admin) return 'player';
+  return user.admin_role === 'editor' ? 'editor' : 'admin';
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { username: user.username, role: getRole(user) },
+    JWT_SECRET,
+    { subject: String(user.id), expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Issue an access token plus a refresh token backed by an admin_sessions row
+async function issueTokens(user) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await pool.query(`
+    INSERT INTO admin_sessions (user_id, token, expires_at)
+    VALUES ($1, $2, $3)
+  `, [user.id, hashToken(refreshToken), expiresAt]);
+
+  return {
+    token: signAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// Exchange a refresh token for a new token pair (the old refresh token is revoked)
+async function refreshTokens(refreshToken) {
+  const result = await pool.query(`
+    SELECT s.id as session_id, u.id, u.username, u.email, u.is_admin, u.admin_role
+    FROM admin_sessions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.token = $1 AND s.expires_at > NOW()
+  `, [hashToken(refreshToken)]);
+
+  const session = result.rows[0];
+
+  if (!session) {
+    return null;
+  }
+
+  await pool.query('DELETE FROM admin_sessions WHERE id = $1', [session.session_id]);
+
+  return {
+    user: session,
+    ...(await issueTokens(session))
+  };
+}
+
+async function revokeRefreshToken(refreshToken) {
+  await pool.query('DELETE FROM admin_sessions WHERE token = $1', [hashToken(refreshToken)]);
+}
+
+// Verify the bearer token and attach the logged-in user to req.user
+function requireAuth(req, res, next) {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access denied. No token provided.' });
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.user = {
+      id: parseInt(payload.sub, 10),
+      username: payload.username,
+      role: payload.role,
+      isAdmin: payload.role === 'admin',
+      isEditor: payload.role === 'editor' || payload.role === 'admin'
+    };
+    next();
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+    res.status(401).json({ error: message });
+  }
+}
+
+// Attach req.user when a token is sent, but let anonymous requests through
+function optionalAuth(req, res, next) {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+  requireAuth(req, res, next);
+}
+
+// Same as requireAuth, but checks the user's current role in the users table rather than the one in
+// the token, then only lets them through if hasAccess(req.user) passes
+function requireRole(hasAccess, message) {
+  return (req, res, next) => {
+    requireAuth(req, res, async () => {
+      try {
+        const result = await pool.query('SELECT is_admin, admin_role FROM users WHERE id = $1', [req.user.id]);
+        const role = result.rows[0] ? getRole(result.rows[0]) : 'player';
+
+        req.user.role = role;
+        req.user.isAdmin = role === 'admin';
+        req.user.isEditor = role === 'editor' || role === 'admin';
+      } catch (error) {
+        console.error('Role lookup error:', error);
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (!hasAccess(req.user)) {
+        return res.status(403).json({ error: message });
+      }
+      next();
+    });
+  };
+}
+
+// Only lets admins through
+const requireAdmin = requireRole(user => user.isAdmin, 'Admin access required');
+
+// Lets editors and admins through - for writing and reviewing puzzles
+const requireEditor = requireRole(user => user.isEditor, 'Editor access required');
+
+module.exports = {
+  getRole,
+  issueTokens,
+  refreshTokens,
+  revokeRefreshToken,
+  requireAuth,
+  optionalAuth,
+  requireAdmin,
+  requireEditor
+};
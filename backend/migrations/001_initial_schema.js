@@ -0,0 +1,155 @@
+// Baseline schema. Deployments created by the old init-db.js already have these tables,
+// so every statement is IF NOT EXISTS and applying this migration to them is a no-op
+async function up(client) {
+  // Create users table FIRST (other tables reference it)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      is_admin BOOLEAN DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_login TIMESTAMP,
+      total_games INTEGER DEFAULT 0,
+      current_streak INTEGER DEFAULT 0,
+      best_streak INTEGER DEFAULT 0,
+      avg_score REAL DEFAULT 0,
+      best_score INTEGER DEFAULT 0
+    )
+  `);
+
+  // Create daily_puzzles table (references users)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS daily_puzzles (
+      id SERIAL PRIMARY KEY,
+      date DATE UNIQUE NOT NULL,
+      difficulty INTEGER DEFAULT 1,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_by INTEGER,
+      plays INTEGER DEFAULT 0,
+      avg_score REAL DEFAULT 0,
+      avg_time INTEGER DEFAULT 0,
+      scoring_rules TEXT,
+      FOREIGN KEY (created_by) REFERENCES users (id)
+    )
+  `);
+
+  // Per-puzzle scoring overrides (JSON) - added after the table was first deployed
+  await client.query(`ALTER TABLE daily_puzzles ADD COLUMN IF NOT EXISTS scoring_rules TEXT`);
+  
+  // Create puzzle_clues table (references daily_puzzles)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS puzzle_clues (
+      id SERIAL PRIMARY KEY,
+      daily_puzzle_id INTEGER NOT NULL,
+      clue_number INTEGER NOT NULL,
+      clue TEXT NOT NULL,
+      answer TEXT NOT NULL,
+      linking_word TEXT NOT NULL,
+      FOREIGN KEY (daily_puzzle_id) REFERENCES daily_puzzles (id) ON DELETE CASCADE,
+      UNIQUE(daily_puzzle_id, clue_number)
+    )
+  `);
+
+  // Create game_results table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS game_results (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER,
+      daily_puzzle_id INTEGER,
+      score INTEGER NOT NULL,
+      completion_time INTEGER NOT NULL,
+      hints_used INTEGER DEFAULT 0,
+      wrong_answers INTEGER DEFAULT 0,
+      hint_breakdown TEXT,
+      clue_results TEXT,
+      is_archive BOOLEAN DEFAULT false,
+      completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      FOREIGN KEY (daily_puzzle_id) REFERENCES daily_puzzles (id)
+    )
+  `);
+
+  // Columns added after tables were first deployed
+  await client.query(`ALTER TABLE game_results ADD COLUMN IF NOT EXISTS is_archive BOOLEAN DEFAULT false`);
+
+  // Create game_sessions table (server-side record of a play in progress)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS game_sessions (
+      id TEXT PRIMARY KEY,
+      daily_puzzle_id INTEGER NOT NULL,
+      user_id INTEGER,
+      is_archive BOOLEAN DEFAULT false,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP,
+      game_result_id INTEGER,
+      FOREIGN KEY (daily_puzzle_id) REFERENCES daily_puzzles (id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      FOREIGN KEY (game_result_id) REFERENCES game_results (id)
+    )
+  `);
+
+  await client.query(`ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS is_archive BOOLEAN DEFAULT false`);
+
+  // Create game_session_events table (every guess and hint made during a session)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS game_session_events (
+      id SERIAL PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      clue_number INTEGER NOT NULL,
+      event_type TEXT NOT NULL,
+      correct BOOLEAN,
+      hint_type TEXT,
+      word_index INTEGER,
+      penalty INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES game_sessions (id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create admin_sessions table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      token TEXT UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+
+  // Keep old puzzles table for potential migration (optional)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS puzzles (
+      id SERIAL PRIMARY KEY,
+      date DATE UNIQUE NOT NULL,
+      clue TEXT NOT NULL,
+      answer TEXT NOT NULL,
+      linking_word TEXT NOT NULL,
+      difficulty INTEGER DEFAULT 1,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_by INTEGER,
+      plays INTEGER DEFAULT 0,
+      avg_score REAL DEFAULT 0,
+      avg_time INTEGER DEFAULT 0,
+      migrated BOOLEAN DEFAULT false
+    )
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS puzzles');
+  await client.query('DROP TABLE IF EXISTS admin_sessions');
+  await client.query('DROP TABLE IF EXISTS game_session_events');
+  await client.query('DROP TABLE IF EXISTS game_sessions');
+  await client.query('DROP TABLE IF EXISTS game_results');
+  await client.query('DROP TABLE IF EXISTS puzzle_clues');
+  await client.query('DROP TABLE IF EXISTS daily_puzzles');
+  await client.query('DROP TABLE IF EXISTS users');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+// Extra answers an admin accepts for a clue (e.g. ROCK AND ROLL for ROCK 'N' ROLL)
+async function up(client) {
+  await client.query(`
+    CREATE TABLE puzzle_clue_alternates (
+      id SERIAL PRIMARY KEY,
+      puzzle_clue_id INTEGER NOT NULL,
+      answer TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (puzzle_clue_id) REFERENCES puzzle_clues (id) ON DELETE CASCADE,
+      UNIQUE(puzzle_clue_id, answer)
+    )
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS puzzle_clue_alternates');
+}
+
+module.exports = { up, down };
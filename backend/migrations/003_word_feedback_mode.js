@@ -0,0 +1,12 @@
+// Opt-in Wordle-style mode: wrong guesses get per-word feedback and are scored separately
+async function up(client) {
+  await client.query(`ALTER TABLE game_sessions ADD COLUMN word_feedback BOOLEAN DEFAULT false`);
+  await client.query(`ALTER TABLE game_results ADD COLUMN word_feedback BOOLEAN DEFAULT false`);
+}
+
+async function down(client) {
+  await client.query(`ALTER TABLE game_results DROP COLUMN IF EXISTS word_feedback`);
+  await client.query(`ALTER TABLE game_sessions DROP COLUMN IF EXISTS word_feedback`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+const { findLinkingStarts } = require('../lib/linking');
+
+// Explicit word offsets for each clue's linking span (inclusive), so multi-word and repeated links work.
+// Existing clues are filled in from the first place their linking word fits
+async function up(client) {
+  await client.query(`ALTER TABLE puzzle_clues ADD COLUMN link_start INTEGER`);
+  await client.query(`ALTER TABLE puzzle_clues ADD COLUMN link_end INTEGER`);
+
+  const cluesResult = await client.query(`SELECT id, answer, linking_word FROM puzzle_clues`);
+
+  for (const clue of cluesResult.rows) {
+    const [start] = findLinkingStarts(clue.answer, clue.linking_word);
+    if (start === undefined) {
+      console.log(`⚠️  Clue ${clue.id}: linking word "${clue.linking_word}" not found in "${clue.answer}" - left without offsets`);
+      continue;
+    }
+
+    await client.query(`
+      UPDATE puzzle_clues SET link_start = $1, link_end = $2 WHERE id = $3
+    `, [start, start + clue.linking_word.trim().split(/\s+/).length - 1, clue.id]);
+  }
+}
+
+async function down(client) {
+  await client.query(`ALTER TABLE puzzle_clues DROP COLUMN IF EXISTS link_end`);
+  await client.query(`ALTER TABLE puzzle_clues DROP COLUMN IF EXISTS link_start`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+const { getLinkingSpan } = require('../lib/linking');
+const { splitClue, getPhrases } = require('../lib/clue-halves');
+
+// Structured before/after halves for each clue: the clue text for each side and the phrase it
+// describes. Existing clues are split on " + " and on their linking span where possible
+async function up(client) {
+  await client.query(`ALTER TABLE puzzle_clues ADD COLUMN before_clue TEXT`);
+  await client.query(`ALTER TABLE puzzle_clues ADD COLUMN after_clue TEXT`);
+  await client.query(`ALTER TABLE puzzle_clues ADD COLUMN before_phrase TEXT`);
+  await client.query(`ALTER TABLE puzzle_clues ADD COLUMN after_phrase TEXT`);
+
+  const cluesResult = await client.query(`
+    SELECT id, clue, answer, linking_word, link_start, link_end FROM puzzle_clues
+  `);
+
+  for (const clue of cluesResult.rows) {
+    const halves = splitClue(clue.clue);
+    const span = getLinkingSpan(clue);
+    const phrases = span ? getPhrases(clue.answer, span) : null;
+
+    if (!halves) {
+      console.log(`⚠️  Clue ${clue.id}: "${clue.clue}" isn't in "before + after" form - left without clue halves`);
+    }
+
+    await client.query(`
+      UPDATE puzzle_clues
+      SET before_clue = $1, after_clue = $2, before_phrase = $3, after_phrase = $4
+      WHERE id = $5
+    `, [
+      halves ? halves.before : null,
+      halves ? halves.after : null,
+      phrases ? phrases.before : null,
+      phrases ? phrases.after : null,
+      clue.id
+    ]);
+  }
+}
+
+async function down(client) {
+  await client.query(`ALTER TABLE puzzle_clues DROP COLUMN IF EXISTS after_phrase`);
+  await client.query(`ALTER TABLE puzzle_clues DROP COLUMN IF EXISTS before_phrase`);
+  await client.query(`ALTER TABLE puzzle_clues DROP COLUMN IF EXISTS after_clue`);
+  await client.query(`ALTER TABLE puzzle_clues DROP COLUMN IF EXISTS before_clue`);
+}
+
+module.exports = { up, down };
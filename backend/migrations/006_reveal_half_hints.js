@@ -0,0 +1,10 @@
+// reveal_half hints uncover a whole before or after phrase - the event records which one
+async function up(client) {
+  await client.query(`ALTER TABLE game_session_events ADD COLUMN half TEXT`);
+}
+
+async function down(client) {
+  await client.query(`ALTER TABLE game_session_events DROP COLUMN IF EXISTS half`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,11 @@
+// Word feedback guesses lock in the words they got right - recorded so the server can rebuild
+// each clue's hint state from the session's events
+async function up(client) {
+  await client.query(`ALTER TABLE game_session_events ADD COLUMN locked_words INTEGER[]`);
+}
+
+async function down(client) {
+  await client.query(`ALTER TABLE game_session_events DROP COLUMN IF EXISTS locked_words`);
+}
+
+module.exports = { up, down };
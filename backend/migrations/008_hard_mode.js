@@ -0,0 +1,12 @@
+// Hard mode plays (no hints, time bonus) are kept apart from normal ones for stats and leaderboards
+async function up(client) {
+  await client.query(`ALTER TABLE game_sessions ADD COLUMN mode TEXT NOT NULL DEFAULT 'normal'`);
+  await client.query(`ALTER TABLE game_results ADD COLUMN mode TEXT NOT NULL DEFAULT 'normal'`);
+}
+
+async function down(client) {
+  await client.query(`ALTER TABLE game_results DROP COLUMN IF EXISTS mode`);
+  await client.query(`ALTER TABLE game_sessions DROP COLUMN IF EXISTS mode`);
+}
+
+module.exports = { up, down };
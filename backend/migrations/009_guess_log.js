@@ -0,0 +1,20 @@
+// Wrong guesses from players who opt in, for clue writers. Deliberately anonymous: no session,
+// user or IP - just which clue and what was guessed
+async function up(client) {
+  await client.query(`
+    CREATE TABLE guess_log (
+      id SERIAL PRIMARY KEY,
+      daily_puzzle_id INTEGER NOT NULL,
+      clue_number INTEGER NOT NULL,
+      guess TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (daily_puzzle_id) REFERENCES daily_puzzles (id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS guess_log');
+}
+
+module.exports = { up, down };
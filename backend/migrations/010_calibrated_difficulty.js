@@ -0,0 +1,16 @@
+// Difficulty measured from real plays by the calibration job, kept next to the authored difficulty
+async function up(client) {
+  await client.query(`ALTER TABLE daily_puzzles ADD COLUMN calibrated_difficulty REAL`);
+  await client.query(`ALTER TABLE daily_puzzles ADD COLUMN calibration_plays INTEGER DEFAULT 0`);
+  await client.query(`ALTER TABLE daily_puzzles ADD COLUMN calibrated_at TIMESTAMP`);
+  await client.query(`ALTER TABLE puzzle_clues ADD COLUMN calibrated_difficulty REAL`);
+}
+
+async function down(client) {
+  await client.query(`ALTER TABLE puzzle_clues DROP COLUMN IF EXISTS calibrated_difficulty`);
+  await client.query(`ALTER TABLE daily_puzzles DROP COLUMN IF EXISTS calibrated_at`);
+  await client.query(`ALTER TABLE daily_puzzles DROP COLUMN IF EXISTS calibration_plays`);
+  await client.query(`ALTER TABLE daily_puzzles DROP COLUMN IF EXISTS calibrated_difficulty`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// Scheduling: puzzles with no date are the reserve pool, replay_of marks a puzzle copied from the
+// archive to fill an empty day, and app_settings holds the empty-day fallback policy
+async function up(client) {
+  await client.query(`ALTER TABLE daily_puzzles ALTER COLUMN date DROP NOT NULL`);
+  await client.query(`
+    ALTER TABLE daily_puzzles ADD COLUMN replay_of INTEGER
+    REFERENCES daily_puzzles (id) ON DELETE SET NULL
+  `);
+  await client.query(`
+    CREATE TABLE app_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Reserve puzzles have nowhere to go once dates are required again, so they're removed
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS app_settings');
+  await client.query(`ALTER TABLE daily_puzzles DROP COLUMN IF EXISTS replay_of`);
+  await client.query(`DELETE FROM daily_puzzles WHERE date IS NULL`);
+  await client.query(`ALTER TABLE daily_puzzles ALTER COLUMN date SET NOT NULL`);
+}
+
+module.exports = { up, down };
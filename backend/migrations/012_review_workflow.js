@@ -0,0 +1,54 @@
+// Review workflow: puzzles go draft -> in_review -> approved -> published and only published ones
+// are served to players. Admin-page users (is_admin) get an admin_role of editor or admin, and
+// reviewers leave per-clue comments. Every change to a puzzle is written to the audit log, which
+// outlives the puzzle (and the user) it describes
+async function up(client) {
+  await client.query(`
+    ALTER TABLE daily_puzzles ADD COLUMN status TEXT NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'in_review', 'approved', 'published'))
+  `);
+  // Everything already in the table was live, so it stays live
+  await client.query(`UPDATE daily_puzzles SET status = 'published'`);
+
+  await client.query(`
+    ALTER TABLE users ADD COLUMN admin_role TEXT
+    CHECK (admin_role IN ('editor', 'admin'))
+  `);
+  await client.query(`UPDATE users SET admin_role = 'admin' WHERE is_admin = true`);
+
+  await client.query(`
+    CREATE TABLE puzzle_review_comments (
+      id SERIAL PRIMARY KEY,
+      daily_puzzle_id INTEGER NOT NULL,
+      clue_number INTEGER,
+      user_id INTEGER,
+      comment TEXT NOT NULL,
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (daily_puzzle_id) REFERENCES daily_puzzles (id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE puzzle_audit_log (
+      id SERIAL PRIMARY KEY,
+      daily_puzzle_id INTEGER,
+      user_id INTEGER,
+      action TEXT NOT NULL,
+      details TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (daily_puzzle_id) REFERENCES daily_puzzles (id) ON DELETE SET NULL,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+    )
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS puzzle_audit_log');
+  await client.query('DROP TABLE IF EXISTS puzzle_review_comments');
+  await client.query(`ALTER TABLE users DROP COLUMN IF EXISTS admin_role`);
+  await client.query(`ALTER TABLE daily_puzzles DROP COLUMN IF EXISTS status`);
+}
+
+module.exports = { up, down };
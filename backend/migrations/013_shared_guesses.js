@@ -0,0 +1,19 @@
+// Which guesses a session has already shared to the guess log, so replaying the same guess can't
+// log it twice. Kept apart from guess_log so the log itself stays anonymous
+async function up(client) {
+  await client.query(`
+    CREATE TABLE shared_guesses (
+      session_id TEXT NOT NULL,
+      clue_number INTEGER NOT NULL,
+      guess TEXT NOT NULL,
+      PRIMARY KEY (session_id, clue_number, guess),
+      FOREIGN KEY (session_id) REFERENCES game_sessions (id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS shared_guesses');
+}
+
+module.exports = { up, down };
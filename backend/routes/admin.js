@@ -1,16 +1,139 @@
 const express = require('express');
 const pool = require('../db-connection');
 const bcrypt = require('bcryptjs');
+const { getRole, issueTokens, refreshTokens, revokeRefreshToken, requireAdmin, requireEditor } = require('../middleware/auth');
+const { getTodayEastern } = require('../lib/dates');
+const { validateScoringRules } = require('../lib/scoring');
+const { migrateLegacyPuzzles } = require('../lib/legacy-puzzles');
+const { resolveLinkingSpan } = require('../lib/linking');
+const { resolveClueHalves } = require('../lib/clue-halves');
+const { buildClueAnalytics } = require('../lib/puzzle-analytics');
+const { gradeAnswer } = require('../lib/answers');
+const { calibrateDifficulty, suggestDifficulty } = require('../lib/difficulty');
+const { FALLBACK_POLICIES, getFallbackPolicy, setFallbackPolicy, fillEmptyDay, getSchedule, movePuzzle } = require('../lib/schedule');
+const {
+  PUZZLE_STATUSES, ADMIN_ROLES, getTransitionError, getEditError, describeChanges, recordAudit, toAuditEntry
+} = require('../lib/review');
 
 const router = express.Router();
 
-function getTodayEastern() {
-  const now = new Date();
-  const easternDate = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-  const year = easternDate.getFullYear();
-  const month = String(easternDate.getMonth() + 1).padStart(2, '0');
-  const day = String(easternDate.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+// Daily puzzles run from a 3-clue "mini" up to a 10-clue "marathon"
+const MIN_CLUES = 3;
+const MAX_CLUES = 10;
+
+function isValidClueCount(clues) {
+  return Array.isArray(clues) && clues.length >= MIN_CLUES && clues.length <= MAX_CLUES;
+}
+
+// Optional clue.alternates: other answers to accept, e.g. ROCK AND ROLL for ROCK 'N' ROLL
+function validateAlternates(clue) {
+  if (clue.alternates === undefined) return null;
+  
+  if (!Array.isArray(clue.alternates) ||
+      clue.alternates.some(alternate => typeof alternate !== 'string' || !alternate.trim())) {
+    return 'Alternate answers must be a list of non-empty strings';
+  }
+  return null;
+}
+
+// Where the linking word sits in the answer. Optional clue.linkStart/linkEnd are word offsets,
+// needed when the link appears more than once
+function getClueLinkingSpan(clue) {
+  return resolveLinkingSpan(clue.answer.toUpperCase(), clue.linkingWord.toUpperCase(), clue.linkStart, clue.linkEnd);
+}
+
+// The before/after halves of the clue. Optional clue.beforeClue/afterClue default to splitting the
+// clue text on " + "; optional clue.beforePhrase/afterPhrase are checked against the linking span
+function getClueHalves(clue, span) {
+  return resolveClueHalves(clue, clue.answer.toUpperCase(), clue.linkingWord.toUpperCase(), span);
+}
+
+// Insert one clue (with its linking span and halves) and its alternate answers
+async function insertClue(client, dailyPuzzleId, clueNumber, clue) {
+  const fields = getClueFields(clue);
+
+  const clueResult = await client.query(`
+    INSERT INTO puzzle_clues (
+      daily_puzzle_id, clue_number, clue, answer, linking_word, link_start, link_end,
+      before_clue, after_clue, before_phrase, after_phrase
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING id
+  `, [dailyPuzzleId, clueNumber, ...fields]);
+  
+  await insertAlternates(client, clueResult.rows[0].id, clue);
+}
+
+// Rewrite an existing clue in place, so its id (and the calibrated difficulty kept on it) survives
+// rewording. A new answer or linking word makes it a different clue, so its calibration is dropped.
+// Its alternates are replaced with the submitted ones
+async function updateClue(client, clueId, clue) {
+  await client.query(`
+    UPDATE puzzle_clues
+    SET clue = $2, answer = $3, linking_word = $4, link_start = $5, link_end = $6,
+        before_clue = $7, after_clue = $8, before_phrase = $9, after_phrase = $10,
+        calibrated_difficulty = CASE WHEN answer = $3 AND linking_word = $4 THEN calibrated_difficulty END
+    WHERE id = $1
+  `, [clueId, ...getClueFields(clue)]);
+
+  await client.query(`DELETE FROM puzzle_clue_alternates WHERE puzzle_clue_id = $1`, [clueId]);
+  await insertAlternates(client, clueId, clue);
+}
+
+// The stored columns for a submitted clue, from clue through after_phrase
+function getClueFields(clue) {
+  const answer = normalizeClueAnswer(clue.answer);
+  const linkingWord = clue.linkingWord.toUpperCase().trim().replace(/\s+/g, ' ');
+  const span = resolveLinkingSpan(answer, linkingWord, clue.linkStart, clue.linkEnd);
+  const halves = resolveClueHalves(clue, answer, linkingWord, span);
+
+  return [
+    clue.clue,
+    answer,
+    linkingWord,
+    span.start,
+    span.end,
+    halves.beforeClue,
+    halves.afterClue,
+    halves.beforePhrase,
+    halves.afterPhrase
+  ];
+}
+
+function normalizeClueAnswer(answer) {
+  return answer.toUpperCase().trim().replace(/\s+/g, ' ');
+}
+
+async function insertAlternates(client, clueId, clue) {
+  const answer = normalizeClueAnswer(clue.answer);
+  const alternates = [...new Set((clue.alternates || []).map(alternate => alternate.toUpperCase().trim()))]
+    .filter(alternate => alternate !== answer);
+  
+  for (const alternate of alternates) {
+    await client.query(`
+      INSERT INTO puzzle_clue_alternates (puzzle_clue_id, answer)
+      VALUES ($1, $2)
+    `, [clueId, alternate]);
+  }
+}
+
+// A puzzle's status, date, difficulty and clues as stored, for permission checks and the audit log
+async function getPuzzleSnapshot(client, dailyPuzzleId) {
+  const puzzleResult = await client.query(`
+    SELECT id, status, TO_CHAR(date, 'YYYY-MM-DD') as date, difficulty
+    FROM daily_puzzles WHERE id = $1
+  `, [dailyPuzzleId]);
+
+  const puzzle = puzzleResult.rows[0];
+  if (!puzzle) return null;
+
+  const cluesResult = await client.query(`
+    SELECT clue, answer, linking_word FROM puzzle_clues
+    WHERE daily_puzzle_id = $1
+    ORDER BY clue_number
+  `, [dailyPuzzleId]);
+
+  return { ...puzzle, clues: cluesResult.rows };
 }
 
 // Admin login
@@ -23,7 +146,7 @@ router.post('/login', async (req, res) => {
 
   try {
     const result = await pool.query(`
-      SELECT id, username, email, password_hash, is_admin
+      SELECT id, username, email, password_hash, is_admin, admin_role
       FROM users 
       WHERE username = $1 AND is_admin = true
     `, [username]);
@@ -40,16 +163,19 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = 'admin-token-123'; // TODO: Generate proper JWT token
+    await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+    const tokens = await issueTokens(user);
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user.id,
         username: user.username,
         email: user.email,
-        isAdmin: user.is_admin
+        isAdmin: user.is_admin,
+        role: getRole(user)
       }
     });
   } catch (error) {
@@ -58,14 +184,59 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    const refreshed = await refreshTokens(refreshToken);
+
+    if (!refreshed || !refreshed.user.is_admin) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      success: true,
+      token: refreshed.token,
+      refreshToken: refreshed.refreshToken,
+      expiresIn: refreshed.expiresIn
+    });
+  } catch (error) {
+    console.error('Database error in refresh:', error);
+    res.status(500).json({ error: 'Authentication error' });
+  }
+});
+
+// Admin logout - revokes the refresh token
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    await revokeRefreshToken(refreshToken);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Database error in logout:', error);
+    res.status(500).json({ error: 'Logout error' });
+  }
+});
+
 // Get all daily puzzles
-router.get('/daily-puzzles', requireAuth, async (req, res) => {
+router.get('/daily-puzzles', requireEditor, async (req, res) => {
   try {
     const dailyPuzzlesResult = await pool.query(`
       SELECT 
         dp.*,
         u.username as created_by_username,
-        COUNT(gr.id) as completion_count
+        COUNT(gr.id) as completion_count,
+        (SELECT COUNT(*) FROM puzzle_review_comments prc WHERE prc.daily_puzzle_id = dp.id AND prc.resolved_at IS NULL) as open_comments
       FROM daily_puzzles dp
       LEFT JOIN users u ON dp.created_by = u.id
       LEFT JOIN game_results gr ON dp.id = gr.daily_puzzle_id
@@ -82,10 +253,15 @@ router.get('/daily-puzzles', requireAuth, async (req, res) => {
     const dailyPuzzleIds = dailyPuzzles.map(dp => dp.id);
     
     const cluesResult = await pool.query(`
-      SELECT daily_puzzle_id, clue_number, clue, answer, linking_word
-      FROM puzzle_clues
-      WHERE daily_puzzle_id = ANY($1)
-      ORDER BY daily_puzzle_id, clue_number
+      SELECT pc.daily_puzzle_id, pc.clue_number, pc.clue, pc.answer, pc.linking_word, pc.link_start, pc.link_end,
+             pc.before_clue, pc.after_clue, pc.before_phrase, pc.after_phrase, pc.calibrated_difficulty,
+             COALESCE(
+               (SELECT ARRAY_AGG(pca.answer ORDER BY pca.id) FROM puzzle_clue_alternates pca WHERE pca.puzzle_clue_id = pc.id),
+               '{}'
+             ) as alternates
+      FROM puzzle_clues pc
+      WHERE pc.daily_puzzle_id = ANY($1)
+      ORDER BY pc.daily_puzzle_id, pc.clue_number
     `, [dailyPuzzleIds]);
 
     const clues = cluesResult.rows;
@@ -112,13 +288,14 @@ router.get('/daily-puzzles', requireAuth, async (req, res) => {
   }
 });
 
-// Create new daily puzzle
-router.post('/daily-puzzles', requireAuth, async (req, res) => {
-  const { date, difficulty = 1, clues } = req.body;
+// Create new daily puzzle. It starts as a draft - nobody plays it until it's been reviewed and published
+// reserve: true leaves the date empty and puts the puzzle in the reserve pool
+router.post('/daily-puzzles', requireEditor, async (req, res) => {
+  const { date, reserve = false, difficulty = 1, clues, scoringRules } = req.body;
 
   // Validation
-  if (!date || !clues || !Array.isArray(clues) || clues.length !== 5) {
-    return res.status(400).json({ error: 'Date and exactly 5 clues are required' });
+  if ((!date && !reserve) || !isValidClueCount(clues)) {
+    return res.status(400).json({ error: `A date (or reserve) and ${MIN_CLUES}-${MAX_CLUES} clues are required` });
   }
 
   // Validate each clue
@@ -128,11 +305,15 @@ router.post('/daily-puzzles', requireAuth, async (req, res) => {
       return res.status(400).json({ error: `Clue ${i + 1}: All fields are required` });
     }
 
-    // Validate linking word is in answer
-    if (!clue.answer.toUpperCase().includes(clue.linkingWord.toUpperCase())) {
-      return res.status(400).json({ 
-        error: `Clue ${i + 1}: Linking word must be contained in the answer` 
-      });
+    // Validate the linking word sits between the before and after phrases
+    const span = getClueLinkingSpan(clue);
+    if (span.error) {
+      return res.status(400).json({ error: `Clue ${i + 1}: ${span.error}` });
+    }
+
+    const halves = getClueHalves(clue, span);
+    if (halves.error) {
+      return res.status(400).json({ error: `Clue ${i + 1}: ${halves.error}` });
     }
 
     // Validate clue doesn't contain answer words
@@ -147,8 +328,19 @@ router.post('/daily-puzzles', requireAuth, async (req, res) => {
         error: `Clue ${i + 1}: Cannot contain these words from the answer: ${forbiddenWords.join(', ')}` 
       });
     }
+    
+    const alternatesError = validateAlternates(clue);
+    if (alternatesError) {
+      return res.status(400).json({ error: `Clue ${i + 1}: ${alternatesError}` });
+    }
   }
 
+  // Optional scoring overrides - anything left out uses the default rules
+  const scoringRulesError = scoringRules ? validateScoringRules(scoringRules) : null;
+  if (scoringRulesError) {
+    return res.status(400).json({ error: scoringRulesError });
+  }
+  
   const client = await pool.connect();
 
   try {
@@ -156,34 +348,27 @@ router.post('/daily-puzzles', requireAuth, async (req, res) => {
 
     // Create daily puzzle
     const dailyPuzzleResult = await client.query(`
-      INSERT INTO daily_puzzles (date, difficulty, created_by)
-      VALUES ($1, $2, $3)
+      INSERT INTO daily_puzzles (date, difficulty, created_by, scoring_rules)
+      VALUES ($1, $2, $3, $4)
       RETURNING id
-    `, [date, difficulty, req.user.id]);
+    `, [reserve ? null : date, difficulty, req.user.id, scoringRules ? JSON.stringify(scoringRules) : null]);
 
     const dailyPuzzleId = dailyPuzzleResult.rows[0].id;
 
     // Insert clues
     for (let i = 0; i < clues.length; i++) {
-      const clue = clues[i];
-      await client.query(`
-        INSERT INTO puzzle_clues (daily_puzzle_id, clue_number, clue, answer, linking_word)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [
-        dailyPuzzleId,
-        i + 1,
-        clue.clue,
-        clue.answer.toUpperCase(),
-        clue.linkingWord.toUpperCase()
-      ]);
+      await insertClue(client, dailyPuzzleId, i + 1, clues[i]);
     }
 
+    await recordAudit(client, dailyPuzzleId, req.user.id, 'created', { date: reserve ? null : date, clues: clues.length });
+
     await client.query('COMMIT');
 
     res.status(201).json({
       success: true,
       dailyPuzzleId: dailyPuzzleId,
-      message: 'Daily puzzle created successfully'
+      status: 'draft',
+      message: 'Daily puzzle created as a draft'
     });
 
   } catch (error) {
@@ -200,14 +385,14 @@ router.post('/daily-puzzles', requireAuth, async (req, res) => {
   }
 });
 
-// Update daily puzzle
-router.put('/daily-puzzles/:id', requireAuth, async (req, res) => {
+// Update daily puzzle. Editors can only change drafts and puzzles in review
+router.put('/daily-puzzles/:id', requireEditor, async (req, res) => {
   const { id } = req.params;
-  const { date, difficulty, clues } = req.body;
+  const { date, reserve = false, difficulty, clues, scoringRules } = req.body;
 
   // Validation (same as create)
-  if (!date || !clues || !Array.isArray(clues) || clues.length !== 5) {
-    return res.status(400).json({ error: 'Date and exactly 5 clues are required' });
+  if ((!date && !reserve) || !isValidClueCount(clues)) {
+    return res.status(400).json({ error: `A date (or reserve) and ${MIN_CLUES}-${MAX_CLUES} clues are required` });
   }
 
   // Validate each clue (same validation as create)
@@ -217,10 +402,14 @@ router.put('/daily-puzzles/:id', requireAuth, async (req, res) => {
       return res.status(400).json({ error: `Clue ${i + 1}: All fields are required` });
     }
 
-    if (!clue.answer.toUpperCase().includes(clue.linkingWord.toUpperCase())) {
-      return res.status(400).json({ 
-        error: `Clue ${i + 1}: Linking word must be contained in the answer` 
-      });
+    const span = getClueLinkingSpan(clue);
+    if (span.error) {
+      return res.status(400).json({ error: `Clue ${i + 1}: ${span.error}` });
+    }
+
+    const halves = getClueHalves(clue, span);
+    if (halves.error) {
+      return res.status(400).json({ error: `Clue ${i + 1}: ${halves.error}` });
     }
 
     const answerWords = clue.answer.toUpperCase().split(' ');
@@ -234,43 +423,72 @@ router.put('/daily-puzzles/:id', requireAuth, async (req, res) => {
         error: `Clue ${i + 1}: Cannot contain these words: ${forbiddenWords.join(', ')}` 
       });
     }
+    
+    const alternatesError = validateAlternates(clue);
+    if (alternatesError) {
+      return res.status(400).json({ error: `Clue ${i + 1}: ${alternatesError}` });
+    }
   }
 
+  const scoringRulesError = scoringRules ? validateScoringRules(scoringRules) : null;
+  if (scoringRulesError) {
+    return res.status(400).json({ error: scoringRulesError });
+  }
+  
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
+    const before = await getPuzzleSnapshot(client, id);
+
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Daily puzzle not found' });
+    }
+
+    const editError = getEditError(before.status, req.user);
+    if (editError) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: editError });
+    }
+
     // Update daily puzzle
-    const updateResult = await client.query(`
+    await client.query(`
       UPDATE daily_puzzles 
       SET date = $1, difficulty = $2
       WHERE id = $3
-    `, [date, difficulty || 1, id]);
+    `, [reserve ? null : date, difficulty || 1, id]);
 
-    if (updateResult.rowCount === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Daily puzzle not found' });
+    // Scoring overrides are only touched when sent (null resets to the defaults)
+    if (scoringRules !== undefined) {
+      await client.query(`
+        UPDATE daily_puzzles SET scoring_rules = $1 WHERE id = $2
+      `, [scoringRules ? JSON.stringify(scoringRules) : null, id]);
     }
+    
+    // Clues are updated in place by clue number so they keep their ids (and calibrated difficulty,
+    // unless the answer changes); extra clues are added and clues past the new count are removed
+    const existingClues = await client.query(`
+      SELECT id, clue_number FROM puzzle_clues WHERE daily_puzzle_id = $1
+    `, [id]);
+    const clueIds = new Map(existingClues.rows.map(row => [row.clue_number, row.id]));
 
-    // Delete existing clues
-    await client.query(`DELETE FROM puzzle_clues WHERE daily_puzzle_id = $1`, [id]);
-
-    // Insert new clues
     for (let i = 0; i < clues.length; i++) {
-      const clue = clues[i];
-      await client.query(`
-        INSERT INTO puzzle_clues (daily_puzzle_id, clue_number, clue, answer, linking_word)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [
-        id,
-        i + 1,
-        clue.clue,
-        clue.answer.toUpperCase(),
-        clue.linkingWord.toUpperCase()
-      ]);
+      if (clueIds.has(i + 1)) {
+        await updateClue(client, clueIds.get(i + 1), clues[i]);
+      } else {
+        await insertClue(client, id, i + 1, clues[i]);
+      }
     }
 
+    await client.query(`
+      DELETE FROM puzzle_clues WHERE daily_puzzle_id = $1 AND clue_number > $2
+    `, [id, clues.length]);
+
+    const changes = describeChanges(before, await getPuzzleSnapshot(client, id));
+    await recordAudit(client, id, req.user.id, 'updated', { changes });
+
     await client.query('COMMIT');
 
     res.json({
@@ -292,83 +510,419 @@ router.put('/daily-puzzles/:id', requireAuth, async (req, res) => {
   }
 });
 
-// Delete daily puzzle
-router.delete('/daily-puzzles/:id', requireAuth, async (req, res) => {
+// Delete daily puzzle. Editors can only delete drafts and puzzles in review
+router.delete('/daily-puzzles/:id', requireEditor, async (req, res) => {
   const { id } = req.params;
+  const client = await pool.connect();
 
   try {
+    await client.query('BEGIN');
+
+    // Lock the puzzle so a result can't be saved for it between the check below and the delete
+    await client.query('SELECT id FROM daily_puzzles WHERE id = $1 FOR UPDATE', [id]);
+    const puzzle = await getPuzzleSnapshot(client, id);
+
+    if (!puzzle) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Daily puzzle not found' });
+    }
+
+    const editError = getEditError(puzzle.status, req.user);
+    if (editError) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: editError });
+    }
+
     // Check if puzzle has game results
-    const resultCountResult = await pool.query(`
+    const resultCountResult = await client.query(`
       SELECT COUNT(*) as result_count
       FROM game_results
       WHERE daily_puzzle_id = $1
     `, [id]);
 
     const resultCount = parseInt(resultCountResult.rows[0].result_count);
+    let message;
 
     if (resultCount > 0) {
       // Don't delete, just deactivate
-      const updateResult = await pool.query(`
+      await client.query(`
         UPDATE daily_puzzles 
         SET is_active = false
         WHERE id = $1
       `, [id]);
 
-      if (updateResult.rowCount === 0) {
-        return res.status(404).json({ error: 'Daily puzzle not found' });
-      }
-
-      res.json({
-        success: true,
-        message: 'Daily puzzle deactivated (has existing game results)'
-      });
+      await recordAudit(client, puzzle.id, req.user.id, 'deactivated', { date: puzzle.date });
+      message = 'Daily puzzle deactivated (has existing game results)';
     } else {
-      // Safe to delete (will cascade to clues)
-      const deleteResult = await pool.query(`
+      // Safe to delete (will cascade to clues). The audit entry stays, with the id in its details
+      await recordAudit(client, puzzle.id, req.user.id, 'deleted', { daily_puzzle_id: puzzle.id, date: puzzle.date });
+
+      await client.query(`
         DELETE FROM daily_puzzles
         WHERE id = $1
       `, [id]);
 
-      if (deleteResult.rowCount === 0) {
-        return res.status(404).json({ error: 'Daily puzzle not found' });
-      }
-
-      res.json({
-        success: true,
-        message: 'Daily puzzle deleted successfully'
-      });
+      message = 'Daily puzzle deleted successfully';
     }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message
+    });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error deleting daily puzzle:', error);
     res.status(500).json({ error: 'Failed to delete daily puzzle' });
+  } finally {
+    client.release();
+  }
+});
+
+// Move a puzzle through the review workflow. Body: { status, note } - note is optional and kept in
+// the audit log (e.g. why a puzzle was sent back to draft)
+router.put('/daily-puzzles/:id/status', requireEditor, async (req, res) => {
+  const dailyPuzzleId = parseInt(req.params.id, 10);
+  const { status, note } = req.body;
+
+  if (isNaN(dailyPuzzleId)) {
+    return res.status(400).json({ error: 'Invalid puzzle id' });
+  }
+  if (note !== undefined && typeof note !== 'string') {
+    return res.status(400).json({ error: 'Note must be text' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const puzzleResult = await client.query(`
+      SELECT id, status FROM daily_puzzles WHERE id = $1 FOR UPDATE
+    `, [dailyPuzzleId]);
+
+    const puzzle = puzzleResult.rows[0];
+
+    if (!puzzle) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Daily puzzle not found' });
+    }
+
+    const transitionError = getTransitionError(puzzle.status, status, req.user);
+    if (transitionError) {
+      await client.query('ROLLBACK');
+      return res.status(transitionError.status).json({ error: transitionError.error });
+    }
+
+    await client.query(`UPDATE daily_puzzles SET status = $2 WHERE id = $1`, [dailyPuzzleId, status]);
+    await recordAudit(client, dailyPuzzleId, req.user.id, 'status_changed', {
+      from: puzzle.status,
+      to: status,
+      note: note && note.trim() ? note.trim() : undefined
+    });
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, daily_puzzle_id: dailyPuzzleId, status });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Puzzle status error:', error);
+    res.status(500).json({ error: 'Failed to change puzzle status' });
+  } finally {
+    client.release();
+  }
+});
+
+// Reviewer comments on a puzzle, oldest first. clue_number is null for comments on the whole puzzle
+router.get('/daily-puzzles/:id/comments', requireEditor, async (req, res) => {
+  const dailyPuzzleId = parseInt(req.params.id, 10);
+
+  if (isNaN(dailyPuzzleId)) {
+    return res.status(400).json({ error: 'Invalid puzzle id' });
+  }
+
+  try {
+    const commentsResult = await pool.query(`
+      SELECT prc.id, prc.clue_number, prc.comment, prc.resolved_at, prc.created_at, u.username
+      FROM puzzle_review_comments prc
+      LEFT JOIN users u ON prc.user_id = u.id
+      WHERE prc.daily_puzzle_id = $1
+      ORDER BY prc.created_at, prc.id
+    `, [dailyPuzzleId]);
+
+    res.json({ daily_puzzle_id: dailyPuzzleId, comments: commentsResult.rows });
+  } catch (error) {
+    console.error('Review comments error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// Body: { comment, clue_number } - leave clue_number out to comment on the whole puzzle
+router.post('/daily-puzzles/:id/comments', requireEditor, async (req, res) => {
+  const dailyPuzzleId = parseInt(req.params.id, 10);
+  const { comment, clue_number: clueNumber = null } = req.body;
+
+  if (isNaN(dailyPuzzleId)) {
+    return res.status(400).json({ error: 'Invalid puzzle id' });
+  }
+  if (typeof comment !== 'string' || !comment.trim() || comment.length > MAX_COMMENT_LENGTH) {
+    return res.status(400).json({ error: `Comment must be 1-${MAX_COMMENT_LENGTH} characters` });
+  }
+  if (clueNumber !== null && !Number.isInteger(clueNumber)) {
+    return res.status(400).json({ error: 'clue_number must be a number' });
+  }
+
+  try {
+    const puzzle = await getPuzzleSnapshot(pool, dailyPuzzleId);
+
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Daily puzzle not found' });
+    }
+    if (clueNumber !== null && (clueNumber < 1 || clueNumber > puzzle.clues.length)) {
+      return res.status(400).json({ error: `This puzzle has clues 1-${puzzle.clues.length}` });
+    }
+
+    const commentResult = await pool.query(`
+      INSERT INTO puzzle_review_comments (daily_puzzle_id, clue_number, user_id, comment)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, clue_number, comment, resolved_at, created_at
+    `, [dailyPuzzleId, clueNumber, req.user.id, comment.trim()]);
+
+    await recordAudit(pool, dailyPuzzleId, req.user.id, 'commented', { clue_number: clueNumber });
+
+    res.status(201).json({ ...commentResult.rows[0], username: req.user.username });
+  } catch (error) {
+    console.error('Review comment error:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+router.put('/daily-puzzles/:id/comments/:commentId/resolve', requireEditor, async (req, res) => {
+  const dailyPuzzleId = parseInt(req.params.id, 10);
+  const commentId = parseInt(req.params.commentId, 10);
+
+  if (isNaN(dailyPuzzleId) || isNaN(commentId)) {
+    return res.status(400).json({ error: 'Invalid puzzle or comment id' });
+  }
+
+  try {
+    const resolveResult = await pool.query(`
+      UPDATE puzzle_review_comments SET resolved_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND daily_puzzle_id = $2 AND resolved_at IS NULL
+      RETURNING clue_number
+    `, [commentId, dailyPuzzleId]);
+
+    if (resolveResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Open comment not found' });
+    }
+
+    await recordAudit(pool, dailyPuzzleId, req.user.id, 'resolved_comment', {
+      comment_id: commentId,
+      clue_number: resolveResult.rows[0].clue_number
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Resolve comment error:', error);
+    res.status(500).json({ error: 'Failed to resolve comment' });
+  }
+});
+
+// Who changed what on a puzzle, newest first
+router.get('/daily-puzzles/:id/audit', requireEditor, async (req, res) => {
+  const dailyPuzzleId = parseInt(req.params.id, 10);
+
+  if (isNaN(dailyPuzzleId)) {
+    return res.status(400).json({ error: 'Invalid puzzle id' });
+  }
+
+  try {
+    const auditResult = await pool.query(`
+      SELECT pal.id, pal.action, pal.details, pal.created_at, u.username
+      FROM puzzle_audit_log pal
+      LEFT JOIN users u ON pal.user_id = u.id
+      WHERE pal.daily_puzzle_id = $1
+      ORDER BY pal.created_at DESC, pal.id DESC
+    `, [dailyPuzzleId]);
+
+    res.json({ daily_puzzle_id: dailyPuzzleId, entries: auditResult.rows.map(toAuditEntry) });
+  } catch (error) {
+    console.error('Puzzle audit error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// The most recent changes across every puzzle, including deleted ones. ?limit (default 50, max 200)
+router.get('/audit', requireAdmin, async (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+
+  if (isNaN(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({ error: 'limit must be between 1 and 200' });
+  }
+
+  try {
+    const auditResult = await pool.query(`
+      SELECT pal.id, pal.daily_puzzle_id, TO_CHAR(dp.date, 'YYYY-MM-DD') as date,
+             pal.action, pal.details, pal.created_at, u.username
+      FROM puzzle_audit_log pal
+      LEFT JOIN daily_puzzles dp ON pal.daily_puzzle_id = dp.id
+      LEFT JOIN users u ON pal.user_id = u.id
+      ORDER BY pal.created_at DESC, pal.id DESC
+      LIMIT $1
+    `, [limit]);
+
+    res.json({ entries: auditResult.rows.map(toAuditEntry) });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
 // Get admin dashboard stats
-router.get('/dashboard', requireAuth, async (req, res) => {
+router.get('/dashboard', requireEditor, async (req, res) => {
   const today = getTodayEastern();
 
   try {
     const statsResult = await pool.query(`
       SELECT 
         (SELECT COUNT(*) FROM daily_puzzles WHERE is_active = true) as total_puzzles,
-        (SELECT COUNT(*) FROM daily_puzzles WHERE date > $1 AND is_active = true) as future_puzzles,
-        (SELECT COUNT(*) FROM daily_puzzles WHERE date = $1 AND is_active = true) as today_puzzle,
-        (SELECT COUNT(*) FROM game_results WHERE DATE(completed_at) = $1) as today_plays,
+        (SELECT COUNT(*) FROM daily_puzzles WHERE date > $1 AND is_active = true AND status = 'published') as future_puzzles,
+        (SELECT COUNT(*) FROM daily_puzzles WHERE date IS NULL AND is_active = true) as reserve_puzzles,
+        (SELECT COUNT(*) FROM daily_puzzles WHERE date = $1 AND is_active = true AND status = 'published') as today_puzzle,
+        (SELECT COUNT(*) FROM daily_puzzles WHERE status = 'in_review' AND is_active = true) as in_review_puzzles,
+        (SELECT COUNT(*) FROM daily_puzzles WHERE status = 'approved' AND is_active = true) as approved_puzzles,
+        (SELECT COUNT(*) FROM game_results WHERE DATE(completed_at) = $1 AND is_archive = false) as today_plays,
         (SELECT COUNT(*) FROM users WHERE is_admin = false) as total_users,
-        (SELECT AVG(score) FROM game_results WHERE DATE(completed_at) = $1) as today_avg_score,
+        (SELECT AVG(score) FROM game_results WHERE DATE(completed_at) = $1 AND is_archive = false) as today_avg_score,
         (SELECT COUNT(*) FROM game_results WHERE DATE(completed_at) >= CURRENT_DATE - INTERVAL '7 days') as week_plays
     `, [today]);
 
-    res.json(statsResult.rows[0]);
+    // Empty days coming up, and days held by an inactive or unpublished puzzle, so either gets
+    // noticed before it's today
+    const schedule = await getSchedule(pool, today);
+
+    res.json({
+      ...statsResult.rows[0],
+      empty_days: schedule.gaps.length,
+      next_empty_day: schedule.gaps[0] || null,
+      blocked_days: schedule.blocked.length,
+      next_blocked_day: schedule.blocked[0] || null
+    });
   } catch (error) {
     console.error('Dashboard stats error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Bulk import daily puzzles
-router.post('/daily-puzzles/bulk-import', requireAuth, async (req, res) => {
+// Per-clue analytics for one puzzle: solve rate without hints, hint depth and funnel, wrong guesses.
+// Normal mode plays only - hard mode has no hints, so it would skew the hint numbers
+router.get('/daily-puzzles/:id/analytics', requireEditor, async (req, res) => {
+  const dailyPuzzleId = parseInt(req.params.id, 10);
+
+  if (isNaN(dailyPuzzleId)) {
+    return res.status(400).json({ error: 'Invalid puzzle id' });
+  }
+
+  try {
+    const puzzleResult = await pool.query(`
+      SELECT id, TO_CHAR(date, 'YYYY-MM-DD') as date FROM daily_puzzles WHERE id = $1
+    `, [dailyPuzzleId]);
+
+    const dailyPuzzle = puzzleResult.rows[0];
+
+    if (!dailyPuzzle) {
+      return res.status(404).json({ error: 'Daily puzzle not found' });
+    }
+
+    const cluesResult = await pool.query(`
+      SELECT clue_number, clue, answer FROM puzzle_clues
+      WHERE daily_puzzle_id = $1
+      ORDER BY clue_number
+    `, [dailyPuzzleId]);
+
+    const resultsResult = await pool.query(`
+      SELECT clue_results, hint_breakdown FROM game_results
+      WHERE daily_puzzle_id = $1 AND mode = 'normal'
+    `, [dailyPuzzleId]);
+
+    res.json({
+      daily_puzzle_id: dailyPuzzle.id,
+      date: dailyPuzzle.date,
+      plays: resultsResult.rows.length,
+      clues: buildClueAnalytics(cluesResult.rows, resultsResult.rows)
+    });
+  } catch (error) {
+    console.error('Puzzle analytics error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Top wrong answers per clue from the opt-in guess log. Each guess is graded against the clue as it
+// stands now, so anything since accepted as an alternate drops out, and 'linking_word' guesses
+// (which use the linking word but a different phrase) are the ones most worth a look as alternates
+const TOP_LOGGED_GUESSES = 10;
+
+router.get('/daily-puzzles/:id/guess-log', requireEditor, async (req, res) => {
+  const dailyPuzzleId = parseInt(req.params.id, 10);
+
+  if (isNaN(dailyPuzzleId)) {
+    return res.status(400).json({ error: 'Invalid puzzle id' });
+  }
+
+  try {
+    const cluesResult = await pool.query(`
+      SELECT pc.clue_number, pc.answer, pc.linking_word,
+             COALESCE(
+               (SELECT ARRAY_AGG(pca.answer) FROM puzzle_clue_alternates pca WHERE pca.puzzle_clue_id = pc.id),
+               '{}'
+             ) as alternates
+      FROM puzzle_clues pc
+      WHERE pc.daily_puzzle_id = $1
+      ORDER BY pc.clue_number
+    `, [dailyPuzzleId]);
+
+    if (cluesResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Daily puzzle not found' });
+    }
+
+    const guessesResult = await pool.query(`
+      SELECT clue_number, guess, COUNT(*) as count
+      FROM guess_log
+      WHERE daily_puzzle_id = $1
+      GROUP BY clue_number, guess
+      ORDER BY count DESC, guess ASC
+    `, [dailyPuzzleId]);
+
+    const clues = cluesResult.rows.map(clue => {
+      const guesses = guessesResult.rows
+        .filter(row => row.clue_number === clue.clue_number)
+        .map(row => ({
+          guess: row.guess,
+          count: parseInt(row.count, 10),
+          grade: gradeAnswer(row.guess, clue.answer, clue.linking_word, clue.alternates)
+        }))
+        .filter(guess => guess.grade !== 'correct');
+
+      return {
+        clue_number: clue.clue_number,
+        total_wrong_guesses: guesses.reduce((sum, guess) => sum + guess.count, 0),
+        top_wrong_answers: guesses.slice(0, TOP_LOGGED_GUESSES)
+      };
+    });
+
+    res.json({ daily_puzzle_id: dailyPuzzleId, clues });
+  } catch (error) {
+    console.error('Guess log error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Bulk import daily puzzles. They come in as drafts unless they carry a status (exports do) - only
+// admins can import a puzzle past draft, since that skips review
+router.post('/daily-puzzles/bulk-import', requireEditor, async (req, res) => {
   const { dailyPuzzles } = req.body;
 
   if (!Array.isArray(dailyPuzzles) || dailyPuzzles.length === 0) {
@@ -388,12 +942,12 @@ router.post('/daily-puzzles/bulk-import', requireAuth, async (req, res) => {
 
     for (let index = 0; index < dailyPuzzles.length; index++) {
       const dailyPuzzle = dailyPuzzles[index];
-      const { date, difficulty = 1, clues } = dailyPuzzle;
+      const { date, reserve = false, difficulty = 1, clues, scoringRules, status = 'draft' } = dailyPuzzle;
 
       // Validation
-      if (!date || !clues || !Array.isArray(clues) || clues.length !== 5) {
+      if ((!date && !reserve) || !isValidClueCount(clues)) {
         results.failed++;
-        results.errors.push(`Daily puzzle ${index + 1}: Missing date or exactly 5 clues`);
+        results.errors.push(`Daily puzzle ${index + 1}: Missing date (or reserve) or ${MIN_CLUES}-${MAX_CLUES} clues`);
         continue;
       }
 
@@ -408,9 +962,26 @@ router.post('/daily-puzzles/bulk-import', requireAuth, async (req, res) => {
           break;
         }
 
-        if (!clue.answer.toUpperCase().includes(clue.linkingWord.toUpperCase())) {
+        const span = getClueLinkingSpan(clue);
+        if (span.error) {
+          results.failed++;
+          results.errors.push(`Daily puzzle ${index + 1}, clue ${i + 1}: ${span.error}`);
+          clueError = true;
+          break;
+        }
+
+        const halves = getClueHalves(clue, span);
+        if (halves.error) {
+          results.failed++;
+          results.errors.push(`Daily puzzle ${index + 1}, clue ${i + 1}: ${halves.error}`);
+          clueError = true;
+          break;
+        }
+        
+        const alternatesError = validateAlternates(clue);
+        if (alternatesError) {
           results.failed++;
-          results.errors.push(`Daily puzzle ${index + 1}, clue ${i + 1}: Linking word not in answer`);
+          results.errors.push(`Daily puzzle ${index + 1}, clue ${i + 1}: ${alternatesError}`);
           clueError = true;
           break;
         }
@@ -418,32 +989,43 @@ router.post('/daily-puzzles/bulk-import', requireAuth, async (req, res) => {
 
       if (clueError) continue;
 
+      const scoringRulesError = scoringRules ? validateScoringRules(scoringRules) : null;
+      if (scoringRulesError) {
+        results.failed++;
+        results.errors.push(`Daily puzzle ${index + 1}: ${scoringRulesError}`);
+        continue;
+      }
+
+      if (!PUZZLE_STATUSES.includes(status)) {
+        results.failed++;
+        results.errors.push(`Daily puzzle ${index + 1}: Status must be one of: ${PUZZLE_STATUSES.join(', ')}`);
+        continue;
+      }
+
+      if (status !== 'draft' && !req.user.isAdmin) {
+        results.failed++;
+        results.errors.push(`Daily puzzle ${index + 1}: Only admins can import a puzzle as ${status}`);
+        continue;
+      }
+      
       try {
         // Insert daily puzzle (ON CONFLICT DO NOTHING for PostgreSQL)
         const dailyPuzzleResult = await client.query(`
-          INSERT INTO daily_puzzles (date, difficulty, created_by)
-          VALUES ($1, $2, $3)
+          INSERT INTO daily_puzzles (date, difficulty, created_by, scoring_rules, status)
+          VALUES ($1, $2, $3, $4, $5)
           ON CONFLICT (date) DO NOTHING
           RETURNING id
-        `, [date, difficulty, req.user.id]);
+        `, [reserve ? null : date, difficulty, req.user.id, scoringRules ? JSON.stringify(scoringRules) : null, status]);
 
         if (dailyPuzzleResult.rows.length > 0) {
           const dailyPuzzleId = dailyPuzzleResult.rows[0].id;
           
           // Insert clues
           for (let i = 0; i < clues.length; i++) {
-            const clue = clues[i];
-            await client.query(`
-              INSERT INTO puzzle_clues (daily_puzzle_id, clue_number, clue, answer, linking_word)
-              VALUES ($1, $2, $3, $4, $5)
-            `, [
-              dailyPuzzleId,
-              i + 1,
-              clue.clue,
-              clue.answer.toUpperCase(),
-              clue.linkingWord.toUpperCase()
-            ]);
+            await insertClue(client, dailyPuzzleId, i + 1, clues[i]);
           }
+
+          await recordAudit(client, dailyPuzzleId, req.user.id, 'imported', { date: reserve ? null : date, status });
           
           results.successful++;
         } else {
@@ -474,7 +1056,7 @@ router.post('/daily-puzzles/bulk-import', requireAuth, async (req, res) => {
 });
 
 // Legacy support - keep old endpoints working temporarily
-router.get('/puzzles', requireAuth, async (req, res) => {
+router.get('/puzzles', requireAdmin, async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT 
@@ -494,20 +1076,243 @@ router.get('/puzzles', requireAuth, async (req, res) => {
   }
 });
 
-// Simple auth middleware
-function requireAuth(req, res, next) {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
+// The next 60 days with the puzzle on each (gaps and blocked days flagged), the reserve pool and the fallback policy
+router.get('/schedule', requireEditor, async (req, res) => {
+  const today = getTodayEastern();
+
+  try {
+    const schedule = await getSchedule(pool, today);
+
+    res.json({
+      today,
+      fallback_policy: await getFallbackPolicy(pool),
+      fallback_policies: FALLBACK_POLICIES,
+      ...schedule
+    });
+  } catch (error) {
+    console.error('Schedule error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Reschedule a puzzle. Body: { dailyPuzzleId, date } - a null date moves it to the reserve pool
+router.post('/schedule/move', requireAdmin, async (req, res) => {
+  const { dailyPuzzleId, date = null } = req.body;
+
+  if (!Number.isInteger(dailyPuzzleId)) {
+    return res.status(400).json({ error: 'dailyPuzzleId is required' });
+  }
+  if (date !== null && (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+    return res.status(400).json({ error: 'Date must be YYYY-MM-DD, or null for the reserve pool' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const result = await movePuzzle(client, dailyPuzzleId, date, getTodayEastern(), req.user.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Schedule move error:', error);
+    res.status(500).json({ error: 'Failed to move puzzle' });
+  } finally {
+    client.release();
+  }
+});
+
+// What /today serves on a day with no puzzle. Body: { policy }
+router.put('/schedule/fallback', requireAdmin, async (req, res) => {
+  const { policy } = req.body;
+
+  if (!FALLBACK_POLICIES.includes(policy)) {
+    return res.status(400).json({ error: `Policy must be one of: ${FALLBACK_POLICIES.join(', ')}` });
+  }
+
+  try {
+    await setFallbackPolicy(pool, policy);
+    res.json({ success: true, fallback_policy: policy });
+  } catch (error) {
+    console.error('Fallback policy error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Fill an empty day now under the fallback policy, rather than waiting for it to come up. Body: { date }
+router.post('/schedule/fill', requireAdmin, async (req, res) => {
+  const { date } = req.body;
+
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+  }
+  if (date < getTodayEastern()) {
+    return res.status(400).json({ error: 'Past days can\'t be filled' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const policy = await getFallbackPolicy(client);
+    if (policy === 'none') {
+      return res.status(400).json({ error: 'The empty day fallback is off' });
+    }
+
+    const takenResult = await client.query(`SELECT 1 FROM daily_puzzles WHERE date = $1`, [date]);
+    if (takenResult.rows.length > 0) {
+      return res.status(409).json({ error: `${date} already has a puzzle` });
+    }
+
+    const dailyPuzzleId = await fillEmptyDay(client, date);
+    if (!dailyPuzzleId) {
+      return res.status(404).json({ error: `No puzzle available to fill ${date} with (${policy})` });
+    }
+
+    res.json({ success: true, date, policy, dailyPuzzleId });
+  } catch (error) {
+    console.error('Schedule fill error:', error);
+    res.status(500).json({ error: 'Failed to fill the day' });
+  } finally {
+    client.release();
+  }
+});
+
+// Recalculate calibrated difficulty for every puzzle from its results (same as npm run calibrate-difficulty)
+router.post('/difficulty/calibrate', requireAdmin, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const report = await calibrateDifficulty(client);
+
+    res.json({
+      success: true,
+      ...report,
+      message: `${report.calibrated.length} puzzles calibrated, ${report.skipped} without enough plays yet`
+    });
+  } catch (error) {
+    console.error('Difficulty calibration error:', error);
+    res.status(500).json({ error: 'Difficulty calibration failed' });
+  } finally {
+    client.release();
+  }
+});
+
+// Suggested difficulty for a puzzle being written, from calibrated clues with similar linking words.
+// Query: linking_words=MOUSE,TABLE OF (comma separated)
+router.get('/difficulty/suggest', requireEditor, async (req, res) => {
+  const linkingWords = (req.query.linking_words || '').split(',').map(word => word.trim()).filter(Boolean);
+
+  if (linkingWords.length === 0) {
+    return res.status(400).json({ error: 'At least one linking word is required' });
+  }
+
+  try {
+    const cluesResult = await pool.query(`
+      SELECT linking_word, calibrated_difficulty FROM puzzle_clues
+      WHERE calibrated_difficulty IS NOT NULL
+    `);
+
+    res.json(suggestDifficulty(linkingWords, cluesResult.rows));
+  } catch (error) {
+    console.error('Difficulty suggestion error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Everyone who can sign in to the admin page, with their role
+router.get('/team', requireAdmin, async (req, res) => {
+  try {
+    const teamResult = await pool.query(`
+      SELECT id, username, email, is_admin, admin_role, last_login
+      FROM users
+      WHERE is_admin = true
+      ORDER BY username
+    `);
+
+    res.json(teamResult.rows.map(user => ({
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: getRole(user),
+      last_login: user.last_login
+    })));
+  } catch (error) {
+    console.error('Team list error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Give a registered player editor or admin access, or take it away. Body: { role } - 'editor',
+// 'admin' or 'player'. The new role applies to their next request; their refresh tokens are revoked
+// too, so they sign in again and get a token carrying it
+router.put('/team/:username', requireAdmin, async (req, res) => {
+  const { username } = req.params;
+  const { role } = req.body;
+
+  if (role !== 'player' && !ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: player, ${ADMIN_ROLES.join(', ')}` });
+  }
+  if (username === req.user.username) {
+    return res.status(400).json({ error: 'You can\'t change your own role' });
+  }
+
+  try {
+    const updateResult = await pool.query(`
+      UPDATE users SET is_admin = $2, admin_role = $3
+      WHERE username = $1
+      RETURNING id
+    `, [username, role !== 'player', role === 'player' ? null : role]);
+
+    if (updateResult.rowCount === 0) {
+      return res.status(404).json({ error: 'User not found - they need to register as a player first' });
+    }
+
+    await pool.query('DELETE FROM admin_sessions WHERE user_id = $1', [updateResult.rows[0].id]);
+
+    res.json({ success: true, username, role });
+  } catch (error) {
+    console.error('Team role error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Move legacy single clues into 5-clue daily puzzles.
+// Body: { dryRun, groups } - groups is optional [{ date, puzzleIds: [5 ids] }]; without it clues are grouped by date
+router.post('/puzzles/migrate', requireAdmin, async (req, res) => {
+  const { dryRun = false, groups, status = 'draft' } = req.body;
   
-  if (!token) {
-    return res.status(401).json({ error: 'Access denied. No token provided.' });
+  if (groups !== undefined && (!Array.isArray(groups) || groups.length === 0)) {
+    return res.status(400).json({ error: 'Groups must be a non-empty array' });
   }
 
-  if (token === 'admin-token-123') {
-    req.user = { id: 1, isAdmin: true };
-    next();
-  } else {
-    res.status(401).json({ error: 'Invalid token' });
+  if (!PUZZLE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${PUZZLE_STATUSES.join(', ')}` });
   }
-}
+  
+  const client = await pool.connect();
+  
+  try {
+    const report = await migrateLegacyPuzzles(client, {
+      dryRun: !!dryRun,
+      groups,
+      createdBy: req.user.id,
+      status
+    });
+    
+    res.json({
+      success: true,
+      ...report,
+      message: `${report.created.length} daily puzzles ${dryRun ? 'would be created' : 'created'}, ${report.skipped.length} groups skipped`
+    });
+  
+  } catch (error) {
+    console.error('Legacy migration error:', error);
+    res.status(500).json({ error: 'Legacy migration failed' });
+  } finally {
+    client.release();
+  }
+});
 
 module.exports = router;
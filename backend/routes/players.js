@@ -0,0 +1,188 @@
+const express = require('express');
+const pool = require('../db-connection');
+const bcrypt = require('bcryptjs');
+const { issueTokens, refreshTokens, revokeRefreshToken, requireAuth } = require('../middleware/auth');
+const { getTodayEastern } = require('../lib/dates');
+const { calculateStreaks } = require('../lib/streaks');
+
+const router = express.Router();
+
+// Shape the public profile + stats returned to the game client
+function toPlayerProfile(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    stats: {
+      total_games: user.total_games || 0,
+      current_streak: user.current_streak || 0,
+      best_streak: user.best_streak || 0,
+      avg_score: user.avg_score || 0,
+      best_score: user.best_score || 0
+    }
+  };
+}
+
+// Register a new player account
+router.post('/register', async (req, res) => {
+  const { username, email, password } = req.body;
+
+  if (!username || !email || !password) {
+    return res.status(400).json({ error: 'Username, email and password are required' });
+  }
+
+  if (!/^[A-Za-z0-9_]{3,20}$/.test(username)) {
+    return res.status(400).json({ error: 'Username must be 3-20 letters, numbers or underscores' });
+  }
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ error: 'Please enter a valid email address' });
+  }
+
+  if (password.length < 8) {
+    return res.status(400).json({ error: 'Password must be at least 8 characters' });
+  }
+
+  try {
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const result = await pool.query(`
+      INSERT INTO users (username, email, password_hash, is_admin, last_login)
+      VALUES ($1, $2, $3, false, CURRENT_TIMESTAMP)
+      RETURNING id, username, email, is_admin, total_games, current_streak, best_streak, avg_score, best_score
+    `, [username, email.toLowerCase(), passwordHash]);
+
+    const user = result.rows[0];
+    const tokens = await issueTokens(user);
+
+    res.status(201).json({
+      success: true,
+      ...tokens,
+      player: toPlayerProfile(user)
+    });
+  } catch (error) {
+    if (error.constraint === 'users_username_key') {
+      return res.status(409).json({ error: 'That username is already taken' });
+    }
+    if (error.constraint === 'users_email_key') {
+      return res.status(409).json({ error: 'An account with that email already exists' });
+    }
+    console.error('Database error in register:', error);
+    res.status(500).json({ error: 'Registration error' });
+  }
+});
+
+// Player login
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+
+  try {
+    const result = await pool.query(`
+      SELECT id, username, email, password_hash, is_admin, admin_role,
+             total_games, current_streak, best_streak, avg_score, best_score
+      FROM users
+      WHERE username = $1
+    `, [username]);
+
+    const user = result.rows[0];
+
+    if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+    const tokens = await issueTokens(user);
+
+    res.json({
+      success: true,
+      ...tokens,
+      player: toPlayerProfile(user)
+    });
+  } catch (error) {
+    console.error('Database error in player login:', error);
+    res.status(500).json({ error: 'Authentication error' });
+  }
+});
+
+// Exchange a refresh token for a new access token
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    const refreshed = await refreshTokens(refreshToken);
+
+    if (!refreshed) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      success: true,
+      token: refreshed.token,
+      refreshToken: refreshed.refreshToken,
+      expiresIn: refreshed.expiresIn
+    });
+  } catch (error) {
+    console.error('Database error in player refresh:', error);
+    res.status(500).json({ error: 'Authentication error' });
+  }
+});
+
+// Player logout - revokes the refresh token
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    await revokeRefreshToken(refreshToken);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Database error in player logout:', error);
+    res.status(500).json({ error: 'Logout error' });
+  }
+});
+
+// Get the logged-in player's profile and stats
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, username, email, total_games, current_streak, best_streak, avg_score, best_score
+      FROM users
+      WHERE id = $1
+    `, [req.user.id]);
+
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    // The stored streak goes stale once a day is missed, so recompute it on read
+    const datesResult = await pool.query(`
+      SELECT DISTINCT to_char(dp.date, 'YYYY-MM-DD') as date
+      FROM game_results gr
+      JOIN daily_puzzles dp ON gr.daily_puzzle_id = dp.id
+      WHERE gr.user_id = $1 AND gr.is_archive = false
+    `, [user.id]);
+
+    const { currentStreak } = calculateStreaks(datesResult.rows.map(row => row.date), getTodayEastern());
+
+    res.json(toPlayerProfile({ ...user, current_streak: currentStreak }));
+  } catch (error) {
+    console.error('Database error in /me:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
@@ -1,45 +1,336 @@
 const express = require('express');
+const crypto = require('crypto');
 const pool = require('../db-connection');
+const { requireAdmin, optionalAuth } = require('../middleware/auth');
+const { getTodayEastern } = require('../lib/dates');
+const { calculateStreaks } = require('../lib/streaks');
+const { MAX_SCORE, HARD_MODE_TIME_BONUS, getTimeBonus, resolveScoringRules, getHintPenalty } = require('../lib/scoring');
+const { normalizeAnswer, gradeAnswer, compareWords } = require('../lib/answers');
+const { getLinkingSpan, isLinkingIndex } = require('../lib/linking');
+const { buildHintState, getHintStateError, getHalfRevealWords } = require('../lib/hint-state');
+const { DEFAULT_LEADERBOARD_SIZE, MAX_LEADERBOARD_SIZE, anonymousHandle, getPercentile } = require('../lib/leaderboard');
+const { fillEmptyDay } = require('../lib/schedule');
 
 const router = express.Router();
 
-// Helper function to normalize answer for comparison (strips punctuation, keeps only letters and spaces)
-function normalizeAnswer(answer) {
-  return answer
-    .toUpperCase()
-    .replace(/[^A-Z\s]/g, '') // Remove everything except letters and spaces
-    .replace(/\s+/g, ' ')     // Normalize multiple spaces to single space
-    .trim();
+// Play modes a session can be started in. Hard mode has no hints but earns a time bonus
+const GAME_MODES = ['normal', 'hard'];
+
+// Resolve the puzzle a gameplay request is for. Clients send the daily_puzzle_id they loaded, so a
+// game that runs past midnight ET stays on its puzzle; without one, archive routes use their date
+// and everything else uses today. Future-dated, inactive and unpublished puzzles are never playable
+async function resolvePlayablePuzzle(req) {
+  const today = getTodayEastern();
+  const archiveDate = req.params.date;
+  const requestedId = req.body && req.body.daily_puzzle_id;
+
+  // The archive only serves puzzles whose day has already passed
+  if (archiveDate && (!/^\d{4}-\d{2}-\d{2}$/.test(archiveDate) || archiveDate >= today)) {
+    return null;
+  }
+
+  const conditions = ['is_active = true', `status = 'published'`, 'date <= $1'];
+  const params = [today];
+  
+  if (requestedId !== undefined && requestedId !== null) {
+    const dailyPuzzleId = parseInt(requestedId, 10);
+    if (isNaN(dailyPuzzleId)) {
+      return null;
+    }
+    params.push(dailyPuzzleId);
+    conditions.push(`id = $${params.length}`);
+  }
+  
+  if (archiveDate || params.length === 1) {
+    params.push(archiveDate || today);
+    conditions.push(`date = $${params.length}`);
+  }
+  
+  const result = await pool.query(`
+    SELECT id, date, difficulty, plays, avg_score, avg_time, scoring_rules, date < $1 as is_archive
+    FROM daily_puzzles 
+    WHERE ${conditions.join(' AND ')}
+  `, params);
+
+  return result.rows[0] || null;
+}
+
+// When nobody scheduled a puzzle for today, fill the day under the admin's fallback policy
+async function fillEmptyToday() {
+  const client = await pool.connect();
+
+  try {
+    return await fillEmptyDay(client, getTodayEastern());
+  } finally {
+    client.release();
+  }
+}
+
+function puzzleNotFoundMessage(req) {
+  if (req.body && req.body.daily_puzzle_id) {
+    return 'This puzzle is not available to play';
+  }
+  return req.params.date ? 'No archived puzzle available for this date' : 'No puzzle available for today';
+}
+
+// A session only accepts plays for the puzzle it was started on
+function sessionMatchesRequest(session, req) {
+  const requestedId = req.body.daily_puzzle_id;
+  return requestedId === undefined || requestedId === null || parseInt(requestedId, 10) === session.daily_puzzle_id;
+}
+
+// Look up a game session that hasn't been submitted yet
+async function getOpenSession(sessionId) {
+  const result = await pool.query(`
+    SELECT gs.id, gs.daily_puzzle_id, gs.user_id, gs.is_archive, gs.word_feedback, gs.mode, gs.started_at, dp.scoring_rules
+    FROM game_sessions gs
+    JOIN daily_puzzles dp ON gs.daily_puzzle_id = dp.id
+    WHERE gs.id = $1 AND gs.completed_at IS NULL
+  `, [sessionId]);
+
+  return result.rows[0] || null;
+}
+
+// Answers are only graded inside a session, where every guess is recorded and charged - otherwise
+// they could be checked for free and replayed into a clean session. Returns { session } or { error, status }
+async function getGradingSession(sessionId, req) {
+  if (!sessionId) {
+    return { error: 'A game session is required to check answers', status: 400 };
+  }
+
+  const session = await getOpenSession(sessionId);
+
+  if (!session) {
+    return { error: 'Game session not found or already completed', status: 404 };
+  }
+
+  if (!sessionMatchesRequest(session, req)) {
+    return { error: 'Game session belongs to a different puzzle', status: 400 };
+  }
+
+  return { session };
+}
+
+// Alternate accepted answers for a set of clues, keyed by puzzle_clues.id
+async function getAlternatesByClue(clueIds) {
+  const result = await pool.query(`
+    SELECT puzzle_clue_id, answer FROM puzzle_clue_alternates
+    WHERE puzzle_clue_id = ANY($1)
+  `, [clueIds]);
+  
+  const alternates = {};
+  result.rows.forEach(row => {
+    (alternates[row.puzzle_clue_id] = alternates[row.puzzle_clue_id] || []).push(row.answer);
+  });
+  return alternates;
+}
+
+// Record a guess against a session (guesses on an already-solved clue are ignored).
+// lockedWords are the word indexes a word feedback guess got right. Only whether a guess was right
+// is kept - guess text is only ever stored through the opt-in guess log
+async function recordSessionGuess(sessionId, clueNumber, correct, penalty, lockedWords = null) {
+  const solvedResult = await pool.query(`
+    SELECT 1 FROM game_session_events
+    WHERE session_id = $1 AND clue_number = $2 AND event_type = 'guess' AND correct = true
+  `, [sessionId, clueNumber]);
+
+  if (solvedResult.rows.length > 0) return;
+
+  await pool.query(`
+    INSERT INTO game_session_events (session_id, clue_number, event_type, correct, penalty, locked_words)
+    VALUES ($1, $2, 'guess', $3, $4, $5)
+  `, [sessionId, clueNumber, correct, correct ? 0 : penalty, lockedWords]);
+}
+
+// Log a wrong guess for clue writers, for players who opted in. Nothing in the log ties it back to
+// the player; each session logs a given guess at a clue once, however often it's resubmitted
+async function logWrongGuess(session, clueNumber, guess) {
+  const shared = await pool.query(`
+    INSERT INTO shared_guesses (session_id, clue_number, guess)
+    VALUES ($1, $2, $3)
+    ON CONFLICT DO NOTHING
+    RETURNING session_id
+  `, [session.id, clueNumber, guess]);
+
+  if (shared.rows.length === 0) return;
+
+  await pool.query(`
+    INSERT INTO guess_log (daily_puzzle_id, clue_number, guess)
+    VALUES ($1, $2, $3)
+  `, [session.daily_puzzle_id, clueNumber, guess]);
+}
+
+// A clue's hint state in a session, rebuilt from everything recorded against it
+async function getSessionHintState(sessionId, clue) {
+  const eventsResult = await pool.query(`
+    SELECT event_type, correct, hint_type, word_index, half, locked_words
+    FROM game_session_events
+    WHERE session_id = $1 AND clue_number = $2
+    ORDER BY created_at, id
+  `, [sessionId, clue.clue_number]);
+
+  return buildHintState(clue.answer, getLinkingSpan(clue), eventsResult.rows);
 }
 
-// Helper function to get today's date in Eastern Time
-function getTodayEastern() {
-  const now = new Date();
-  const easternDate = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-  const year = easternDate.getFullYear();
-  const month = String(easternDate.getMonth() + 1).padStart(2, '0');
-  const day = String(easternDate.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+// Record a hint against a session (the same hint is only charged once).
+// half is 'before' or 'after' for reveal_half hints, null otherwise
+async function recordSessionHint(sessionId, clueNumber, hintType, wordIndex, penalty, half = null) {
+  const existingResult = await pool.query(`
+    SELECT 1 FROM game_session_events
+    WHERE session_id = $1 AND clue_number = $2 AND event_type = 'hint'
+      AND hint_type = $3 AND word_index IS NOT DISTINCT FROM $4 AND half IS NOT DISTINCT FROM $5
+  `, [sessionId, clueNumber, hintType, wordIndex, half]);
+
+  if (existingResult.rows.length > 0) return;
+
+  await pool.query(`
+    INSERT INTO game_session_events (session_id, clue_number, event_type, hint_type, word_index, half, penalty)
+    VALUES ($1, $2, 'hint', $3, $4, $5, $6)
+  `, [sessionId, clueNumber, hintType, wordIndex, half, penalty]);
 }
 
-// Get today's daily puzzle (UPDATED - returns 5 clues)
-router.get('/today', async (req, res) => {
+// Work out score, time and per-clue breakdown from the events recorded for a session.
+// Penalties were charged under the puzzle's scoring rules as each event was recorded
+function summarizeSession(session, clueNumbers, events) {
+  const perClue = {};
+  const halvesRevealed = [];
+  clueNumbers.forEach(clueNumber => {
+    perClue[clueNumber] = {
+      hints_used: 0, hint_penalty: 0, hint_types: [], wrong_answers: 0, wrong_answer_penalty: 0, solved_at: null
+    };
+  });
+
+  events.forEach(event => {
+    const clue = perClue[event.clue_number];
+    if (!clue) return;
+
+    if (event.event_type === 'hint') {
+      clue.hints_used++;
+      clue.hint_penalty += event.penalty;
+      clue.hint_types.push(event.hint_type);
+      if (event.hint_type === 'reveal_half') {
+        halvesRevealed.push({ clue_number: event.clue_number, half: event.half });
+      }
+    } else if (event.correct) {
+      clue.solved_at = event.created_at;
+    } else {
+      clue.wrong_answers++;
+      clue.wrong_answer_penalty += event.penalty;
+    }
+  });
+
+  const clues = clueNumbers.map(clueNumber => perClue[clueNumber]);
+  const allSolved = clues.every(clue => clue.solved_at);
+  const hintsUsed = clues.reduce((sum, clue) => sum + clue.hints_used, 0);
+  const hintPenalty = clues.reduce((sum, clue) => sum + clue.hint_penalty, 0);
+  const wrongAnswers = clues.reduce((sum, clue) => sum + clue.wrong_answers, 0);
+  const wrongAnswerPenalty = clues.reduce((sum, clue) => sum + clue.wrong_answer_penalty, 0);
+
+  // Time runs from session start until the last clue was solved
+  const finishedAt = allSolved
+    ? Math.max(...clues.map(clue => new Date(clue.solved_at).getTime()))
+    : null;
+  const completionTime = finishedAt ? Math.max(0, Math.round((finishedAt - new Date(session.started_at).getTime()) / 1000)) : null;
+
+  // Hard mode adds its time bonus on top, so a fast hard mode game can score over 100
+  const timeBonus = session.mode === 'hard' ? getTimeBonus(completionTime) : 0;
+
+  return {
+    allSolved,
+    score: Math.max(0, MAX_SCORE - wrongAnswerPenalty - hintPenalty) + timeBonus,
+    completionTime,
+    timeBonus,
+    hintsUsed,
+    hintPenalty,
+    wrongAnswers,
+    wrongAnswerPenalty,
+    hintBreakdown: {
+      total: hintPenalty,
+      per_clue: clues.map(clue => clue.hints_used),
+      halves_revealed: halvesRevealed
+    },
+    // Hint types and wrong answer counts are kept for the admin puzzle analytics
+    clueResults: clueNumbers.map(clueNumber => ({
+      clue_number: clueNumber,
+      hints_used: perClue[clueNumber].hints_used,
+      hint_penalty: perClue[clueNumber].hint_penalty,
+      hint_types: perClue[clueNumber].hint_types,
+      wrong_answers: perClue[clueNumber].wrong_answers
+    }))
+  };
+}
+
+// Refresh a player's stored stats after a new result (client is inside the submit transaction)
+async function updatePlayerStats(client, userId) {
+  // Streaks come from the dates of the puzzles actually played
+  const datesResult = await client.query(`
+    SELECT DISTINCT to_char(dp.date, 'YYYY-MM-DD') as date
+    FROM game_results gr
+    JOIN daily_puzzles dp ON gr.daily_puzzle_id = dp.id
+    WHERE gr.user_id = $1 AND gr.is_archive = false
+  `, [userId]);
+
+  const { currentStreak, bestStreak } = calculateStreaks(
+    datesResult.rows.map(row => row.date),
+    getTodayEastern()
+  );
+
+  const statsResult = await client.query(`
+    UPDATE users
+    SET total_games = (SELECT COUNT(*) FROM game_results WHERE user_id = $1),
+        avg_score = (SELECT AVG(score) FROM game_results WHERE user_id = $1 AND mode = 'normal'),
+        best_score = (SELECT MAX(score) FROM game_results WHERE user_id = $1 AND mode = 'normal'),
+        current_streak = $2,
+        best_streak = GREATEST(best_streak, $3)
+    WHERE id = $1
+    RETURNING total_games, current_streak, best_streak, avg_score, best_score,
+              (SELECT MAX(score) FROM game_results WHERE user_id = $1 AND mode = 'hard') as best_hard_score
+  `, [userId, currentStreak, bestStreak]);
+
+  return statsResult.rows[0];
+}
+
+// List past puzzles for the archive (no clues or answers)
+router.get('/archive', async (req, res) => {
   const today = getTodayEastern();
 
   try {
-    // Get daily puzzle
-    const dailyPuzzleResult = await pool.query(`
-      SELECT id, date, difficulty, plays, avg_score, avg_time
-      FROM daily_puzzles 
-      WHERE date = $1 AND is_active = true
+    const archiveResult = await pool.query(`
+      SELECT dp.id, dp.date, dp.difficulty, dp.plays, dp.avg_score, COUNT(pc.id) as total_clues
+      FROM daily_puzzles dp
+      LEFT JOIN puzzle_clues pc ON dp.id = pc.daily_puzzle_id
+      WHERE dp.date < $1 AND dp.is_active = true AND dp.status = 'published'
+      GROUP BY dp.id
+      ORDER BY dp.date DESC
     `, [today]);
 
-    const dailyPuzzle = dailyPuzzleResult.rows[0];
+    res.json(archiveResult.rows.map(puzzle => ({
+      ...puzzle,
+      total_clues: parseInt(puzzle.total_clues)
+    })));
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get today's daily puzzle, or a past one from the archive (returns however many clues it has)
+router.get(['/today', '/archive/:date'], async (req, res) => {
+  const date = req.params.date || getTodayEastern();
+
+  try {
+    let dailyPuzzle = await resolvePlayablePuzzle(req);
+
+    // Look again even when this request filled nothing: a concurrent one may have filled the day first
+    if (!dailyPuzzle && !req.params.date) {
+      await fillEmptyToday();
+      dailyPuzzle = await resolvePlayablePuzzle(req);
+    }
 
     if (!dailyPuzzle) {
       return res.status(404).json({ 
-        error: 'No puzzle available for today',
-        date: today 
+        error: puzzleNotFoundMessage(req),
+        date: date 
       });
     }
 
@@ -55,8 +346,8 @@ router.get('/today', async (req, res) => {
     
     if (clues.length === 0) {
       return res.status(404).json({ 
-        error: 'No clues found for today\'s puzzle',
-        date: today 
+        error: 'No clues found for this puzzle',
+        date: date 
       });
     }
 
@@ -67,6 +358,8 @@ router.get('/today', async (req, res) => {
       difficulty: dailyPuzzle.difficulty,
       plays: dailyPuzzle.plays,
       avg_score: dailyPuzzle.avg_score,
+      scoring_rules: resolveScoringRules(dailyPuzzle.scoring_rules),
+      hard_mode_time_bonus: HARD_MODE_TIME_BONUS,
       clues: clues.map(clue => ({
         clue_number: clue.clue_number,
         clue: clue.clue
@@ -81,31 +374,66 @@ router.get('/today', async (req, res) => {
   }
 });
 
-// Validate answer for specific clue (NEW)
-router.post('/validate-clue', async (req, res) => {
-  const { clue_number, answer } = req.body;
-  const today = getTodayEastern();
+// Start a game session for the requested puzzle - guesses and hints are recorded against it.
+// Sessions for a past puzzle are archive plays
+router.post(['/start-session', '/archive/:date/start-session'], optionalAuth, async (req, res) => {
+  try {
+    const dailyPuzzle = await resolvePlayablePuzzle(req);
+
+    if (!dailyPuzzle) {
+      return res.status(404).json({ error: puzzleNotFoundMessage(req) });
+    }
+
+    const mode = req.body.mode || 'normal';
+    if (!GAME_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${GAME_MODES.join(', ')}` });
+    }
+
+    const sessionId = crypto.randomBytes(24).toString('hex');
+    const wordFeedback = req.body.word_feedback === true;
+
+    const sessionResult = await pool.query(`
+      INSERT INTO game_sessions (id, daily_puzzle_id, user_id, is_archive, word_feedback, mode)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, daily_puzzle_id, is_archive, word_feedback, mode, started_at
+    `, [sessionId, dailyPuzzle.id, req.user ? req.user.id : null, dailyPuzzle.is_archive, wordFeedback, mode]);
+
+    const session = sessionResult.rows[0];
+
+    res.status(201).json({
+      session_id: session.id,
+      daily_puzzle_id: session.daily_puzzle_id,
+      is_archive: session.is_archive,
+      word_feedback: session.word_feedback,
+      mode: session.mode,
+      started_at: session.started_at
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Validate answer for specific clue
+router.post(['/validate-clue', '/archive/:date/validate-clue'], async (req, res) => {
+  const { clue_number, answer, session_id, share_guess } = req.body;
   
   if (!clue_number || !answer || typeof answer !== 'string') {
     return res.status(400).json({ error: 'Clue number and answer are required' });
   }
 
   try {
-    // Get today's daily puzzle
-    const dailyPuzzleResult = await pool.query(`
-      SELECT id FROM daily_puzzles 
-      WHERE date = $1 AND is_active = true
-    `, [today]);
-
-    const dailyPuzzle = dailyPuzzleResult.rows[0];
+    const { session, error, status } = await getGradingSession(session_id, req);
 
-    if (!dailyPuzzle) {
-      return res.status(404).json({ error: 'No puzzle available for today' });
+    if (error) {
+      return res.status(status).json({ error });
     }
 
+    const dailyPuzzle = { id: session.daily_puzzle_id, scoring_rules: session.scoring_rules };
+
     // Get the specific clue
     const clueResult = await pool.query(`
-      SELECT clue_number, answer, linking_word
+      SELECT id, clue_number, answer, linking_word, link_start, link_end
       FROM puzzle_clues 
       WHERE daily_puzzle_id = $1 AND clue_number = $2
     `, [dailyPuzzle.id, clue_number]);
@@ -116,15 +444,44 @@ router.post('/validate-clue', async (req, res) => {
       return res.status(404).json({ error: 'Clue not found' });
     }
 
-    // Normalize both answers for comparison (strips punctuation like apostrophes and hyphens)
-    const isCorrect = normalizeAnswer(answer) === normalizeAnswer(clue.answer);
+    // Grade against the answer and its alternates (ignoring punctuation like apostrophes and hyphens)
+    const alternates = await getAlternatesByClue([clue.id]);
+    const feedback = gradeAnswer(answer, clue.answer, clue.linking_word, alternates[clue.id]);
+    const isCorrect = feedback === 'correct';
+
+    // A near-miss is free - it isn't recorded as a wrong answer.
+    // Word feedback sessions pay their own rate for a wrong guess, since each one reveals more
+    const wordFeedback = session.word_feedback;
+    const rules = resolveScoringRules(dailyPuzzle.scoring_rules);
+    const wrongPenalty = wordFeedback ? rules.word_feedback_guess : rules.wrong_answer;
+    const penalty = isCorrect || feedback === 'close' ? 0 : wrongPenalty;
+    const wordResults = wordFeedback && !isCorrect ? compareWords(answer, clue.answer) : null;
+    const normalizedGuess = normalizeAnswer(answer);
+    
+    if (feedback !== 'close') {
+      const lockedWords = wordResults
+        ? wordResults.filter(result => result.status === 'correct').map(result => result.word_index)
+        : null;
+      await recordSessionGuess(session.id, clue.clue_number, isCorrect, penalty, lockedWords);
+    }
+    
+    // Near-misses are logged too - a common typo can be worth accepting as well
+    if (share_guess === true && !isCorrect && normalizedGuess) {
+      await logWrongGuess(session, clue.clue_number, normalizedGuess);
+    }
     
     res.json({
       correct: isCorrect,
+      feedback: feedback,
       clue_number: clue.clue_number,
       daily_puzzle_id: dailyPuzzle.id,
+      penalty: penalty,
+      ...(wordResults && {
+        word_feedback: wordResults
+      }),
       ...(isCorrect && { 
         linking_word: clue.linking_word,
+        ...linkingSpanFields(clue),
         full_answer: clue.answer 
       })
     });
@@ -134,10 +491,11 @@ router.post('/validate-clue', async (req, res) => {
   }
 });
 
-// Get hint for specific clue (UPDATED - now supports word-specific hints)
-router.post('/get-hint', async (req, res) => {
-  const { clue_number, word_index, hint_type } = req.body;
-  const today = getTodayEastern();
+// Get hint for specific clue (UPDATED - now supports word-specific hints and revealing a whole half).
+// Every hint, the word structure included, needs a session: it's charged there, and the hint state
+// it's checked against is the server's record rather than the client's
+router.post(['/get-hint', '/archive/:date/get-hint'], async (req, res) => {
+  const { clue_number, word_index, hint_type, half, session_id } = req.body;
   
   // Validate input
   if (!clue_number) {
@@ -149,22 +507,30 @@ router.post('/get-hint', async (req, res) => {
     return res.status(400).json({ error: 'hint_type is required when word_index is specified' });
   }
 
+  if (!session_id) {
+    return res.status(400).json({ error: 'A game session is required for hints' });
+  }
+
   try {
-    // Get today's daily puzzle
-    const dailyPuzzleResult = await pool.query(`
-      SELECT id FROM daily_puzzles 
-      WHERE date = $1 AND is_active = true
-    `, [today]);
+    const session = await getOpenSession(session_id);
 
-    const dailyPuzzle = dailyPuzzleResult.rows[0];
+    if (!session) {
+      return res.status(404).json({ error: 'Game session not found or already completed' });
+    }
 
-    if (!dailyPuzzle) {
-      return res.status(404).json({ error: 'No puzzle available for today' });
+    if (!sessionMatchesRequest(session, req)) {
+      return res.status(400).json({ error: 'Game session belongs to a different puzzle' });
+    }
+
+    if (session.mode === 'hard') {
+      return res.status(400).json({ error: 'Hints are off in hard mode' });
     }
+    
+    const dailyPuzzle = { id: session.daily_puzzle_id, scoring_rules: session.scoring_rules };
 
     // Get the specific clue
     const clueResult = await pool.query(`
-      SELECT clue_number, clue, answer, linking_word
+      SELECT clue_number, clue, answer, linking_word, link_start, link_end
       FROM puzzle_clues 
       WHERE daily_puzzle_id = $1 AND clue_number = $2
     `, [dailyPuzzle.id, clue_number]);
@@ -176,11 +542,33 @@ router.post('/get-hint', async (req, res) => {
     }
 
     // Generate hint based on request type
-    const hintData = generateWordSpecificHint(clue.answer, clue.linking_word, word_index, hint_type);
+    const rules = resolveScoringRules(dailyPuzzle.scoring_rules);
+    const linkSpan = getLinkingSpan(clue);
+    const hintData = hint_type === 'reveal_half'
+      ? generateHalfHint(clue.answer, linkSpan, half, rules)
+      : generateWordSpecificHint(clue.answer, linkSpan, word_index, hint_type, rules);
     
     if (hintData.error) {
       return res.status(400).json(hintData);
     }
+
+    // Unlock rules (structure first, linking word last) are checked against what's been revealed so far
+    const hintState = await getSessionHintState(session.id, clue);
+    const stateError = getHintStateError(hintState, linkSpan, hint_type, word_index, half);
+    if (stateError) {
+      return res.status(400).json({ error: stateError });
+    }
+
+    if (hintData.hint_type === 'linking_available_check') {
+      hintData.linking_available = hintState.linking_available;
+    } else {
+      if (hintData.hint_type === 'reveal_half') {
+        const revealIndexes = getHalfRevealWords(hintState.word_structure, linkSpan, half).map(word => word.word_index);
+        hintData.revealed_words = hintData.revealed_words.filter(word => revealIndexes.includes(word.word_index));
+      }
+      await recordSessionHint(session.id, clue.clue_number, hintData.hint_type, word_index ?? null, hintData.penalty, hintData.half || null);
+      hintData.word_structure = (await getSessionHintState(session.id, clue)).word_structure;
+    }
     
     res.json({
       clue_number: clue.clue_number,
@@ -194,170 +582,108 @@ router.post('/get-hint', async (req, res) => {
   }
 });
 
-function generateWordSpecificHint(answer, linkingWord, wordIndex, hintType) {
+// The linking span's word offsets for a response (the client highlights every word in it)
+function linkingSpanFields(clue) {
+  const span = getLinkingSpan(clue);
+  return span ? { link_start: span.start, link_end: span.end } : {};
+}
+
+// linkSpan is { start, end } (inclusive word offsets) - every word in it is a linking word.
+// Word hints only describe what they reveal; the route adds the session's updated word structure
+function generateWordSpecificHint(answer, linkSpan, wordIndex, hintType, rules) {
   const words = answer.split(' ');
-  const linkIndex = words.findIndex((word, index) => 
-    word === linkingWord && index > 0 && index < words.length - 1
-  );
-  
-  // Helper to generate letter array with punctuation pre-revealed
-  function generateLetterArray(word, revealType = 'empty') {
-    const letters = [];
-    let firstLetterRevealed = false;
-    
-    for (let i = 0; i < word.length; i++) {
-      const char = word[i];
-      const isLetter = /[A-Za-z]/.test(char);
-      
-      if (!isLetter) {
-        // Punctuation is always revealed
-        letters.push({ char: char, isPunctuation: true });
-      } else if (revealType === 'full_word') {
-        // Full reveal - show all letters
-        letters.push({ char: char.toUpperCase(), isPunctuation: false });
-      } else if (revealType === 'first_letter' && !firstLetterRevealed) {
-        // First letter reveal - show first actual letter
-        letters.push({ char: char.toUpperCase(), isPunctuation: false });
-        firstLetterRevealed = true;
-      } else {
-        // Blank
-        letters.push({ char: '_', isPunctuation: false });
-      }
-    }
-    
-    return letters;
-  }
-  
-  // Convert letter array to simple array of display characters
-  function toDisplayArray(letterArray) {
-    return letterArray.map(l => l.char);
-  }
   
   // If no word_index specified, return initial structure
   if (wordIndex === undefined) {
     return {
       hint_type: 'structure',
-      word_structure: words.map((word, index) => {
-        const letterArray = generateLetterArray(word, 'empty');
-        return {
-          word_index: index,
-          length: word.length,
-          is_linking: index === linkIndex,
-          letters: toDisplayArray(letterArray),
-          state: 'empty', // empty, first_letter, full_word
-          clickable: index !== linkIndex // Non-linking words are clickable initially
-        };
-      }),
-      penalty: 5
+      word_structure: buildHintState(answer, linkSpan, []).word_structure,
+      penalty: getHintPenalty(rules, 'structure')
     };
   }
   
   // Validate word_index
-  if (wordIndex < 0 || wordIndex >= words.length) {
+  if (!Number.isInteger(wordIndex) || wordIndex < 0 || wordIndex >= words.length) {
     return { error: 'Invalid word_index' };
   }
   
-  // REMOVED the linking word check - let frontend handle this logic
-  // The frontend already validates linking word availability before making the request
-  
   // Validate hint_type
   if (!['first_letter', 'full_word', 'check_linking_available'].includes(hintType)) {
-    return { error: 'Invalid hint_type. Must be first_letter, full_word, or check_linking_available' };
+    return { error: 'Invalid hint_type. Must be first_letter, full_word, check_linking_available or reveal_half' };
   }
   
-  // Special endpoint to check if linking word is available
+  // Whether the linking word can be hinted yet - the route fills in the answer from the session
   if (hintType === 'check_linking_available') {
     return {
       hint_type: 'linking_available_check',
-      linking_available: true, // Frontend will track state, this is just confirmation
+      linking_available: false,
       penalty: 0
     };
   }
   
-  const targetWord = words[wordIndex];
-  const isLinking = wordIndex === linkIndex;
-  
-  // Generate word structure with the requested hint applied
-  const word_structure = words.map((word, index) => {
-    let letters;
-    let state;
-    let clickable;
-    
-    if (index === wordIndex) {
-      // This is the word being hinted
-      if (hintType === 'first_letter') {
-        letters = toDisplayArray(generateLetterArray(word, 'first_letter'));
-        state = 'first_letter';
-        clickable = true; // Can click again for full word
-      } else if (hintType === 'full_word') {
-        letters = toDisplayArray(generateLetterArray(word, 'full_word'));
-        state = 'full_word';
-        clickable = false; // No more hints available for this word
-      }
-    } else {
-      // Other words - return as blanks with punctuation revealed (frontend will maintain state)
-      letters = toDisplayArray(generateLetterArray(word, 'empty'));
-      state = 'empty';
-      clickable = index !== linkIndex; // Non-linking words are clickable
-    }
-    
-    return {
-      word_index: index,
-      length: word.length,
-      is_linking: index === linkIndex,
-      letters: letters,
-      state: state,
-      clickable: clickable
-    };
-  });
-  
-  // Calculate penalty
-  let penalty;
-  if (isLinking && hintType === 'first_letter') {
-    penalty = 5; // Linking word first letter
-  } else if (isLinking && hintType === 'full_word') {
-    penalty = 5; // Linking word full reveal
-  } else {
-    penalty = 3; // Regular word hints
-  }
+  const isLinking = isLinkingIndex(linkSpan, wordIndex);
   
   return {
     hint_type: hintType,
-    word_structure: word_structure,
-    penalty: penalty,
+    penalty: getHintPenalty(rules, hintType, isLinking),
     revealed_word: {
       word_index: wordIndex,
-      word: targetWord,
+      word: words[wordIndex],
       is_linking: isLinking
     }
   };
 }
 
-// New endpoint to get current hint state for a clue
-router.post('/get-hint-state', async (req, res) => {
-  const { clue_number } = req.body;
-  const today = getTodayEastern();
+// Reveal every word of the before phrase (up to the end of the linking span) or the after phrase
+// (from its start) in one go. Both halves include the linking word(s)
+function generateHalfHint(answer, linkSpan, half, rules) {
+  if (!['before', 'after'].includes(half)) {
+    return { error: 'half must be before or after' };
+  }
+  if (!linkSpan) {
+    return { error: 'This clue has no linking word to split on' };
+  }
+  
+  const inHalf = index => (half === 'before' ? index <= linkSpan.end : index >= linkSpan.start);
+  
+  return {
+    hint_type: 'reveal_half',
+    half: half,
+    penalty: getHintPenalty(rules, 'reveal_half'),
+    revealed_words: answer.split(' ')
+      .map((word, index) => ({ word_index: index, word: word, is_linking: isLinkingIndex(linkSpan, index) }))
+      .filter(revealed => inHalf(revealed.word_index))
+  };
+}
+
+// Current hint state for a clue - what the session has revealed so far. Without a session there's
+// nothing to report, and a blank structure would give the word lengths away for free
+router.post(['/get-hint-state', '/archive/:date/get-hint-state'], async (req, res) => {
+  const { clue_number, session_id } = req.body;
   
   if (!clue_number) {
     return res.status(400).json({ error: 'Clue number is required' });
   }
+  if (!session_id) {
+    return res.status(400).json({ error: 'A game session is required for hint state' });
+  }
 
   try {
-    // Get today's daily puzzle
-    const dailyPuzzleResult = await pool.query(`
-      SELECT id FROM daily_puzzles 
-      WHERE date = $1 AND is_active = true
-    `, [today]);
+    const session = await getOpenSession(session_id);
 
-    const dailyPuzzle = dailyPuzzleResult.rows[0];
+    if (!session) {
+      return res.status(404).json({ error: 'Game session not found or already completed' });
+    }
 
-    if (!dailyPuzzle) {
-      return res.status(404).json({ error: 'No puzzle available for today' });
+    if (!sessionMatchesRequest(session, req)) {
+      return res.status(400).json({ error: 'Game session belongs to a different puzzle' });
     }
 
+    const dailyPuzzle = { id: session.daily_puzzle_id };
+
     // Get the specific clue
     const clueResult = await pool.query(`
-      SELECT clue_number, answer, linking_word
+      SELECT clue_number, answer, linking_word, link_start, link_end
       FROM puzzle_clues 
       WHERE daily_puzzle_id = $1 AND clue_number = $2
     `, [dailyPuzzle.id, clue_number]);
@@ -368,25 +694,11 @@ router.post('/get-hint-state', async (req, res) => {
       return res.status(404).json({ error: 'Clue not found' });
     }
 
-    const words = clue.answer.split(' ');
-    const linkIndex = words.findIndex((word, index) => 
-      word === clue.linking_word && index > 0 && index < words.length - 1
-    );
-    
-    // Return clean state for frontend to manage
-    const word_structure = words.map((word, index) => ({
-      word_index: index,
-      length: word.length,
-      is_linking: index === linkIndex,
-      letters: new Array(word.length).fill('_'),
-      state: 'empty',
-      clickable: index !== linkIndex
-    }));
+    const hintState = await getSessionHintState(session.id, clue);
     
     res.json({
       clue_number: clue.clue_number,
-      word_structure: word_structure,
-      structure_revealed: false
+      ...hintState
     });
   } catch (error) {
     console.error('Database error:', error);
@@ -394,57 +706,67 @@ router.post('/get-hint-state', async (req, res) => {
   }
 });
 
-// Validate all 5 answers at once (NEW)
-router.post('/validate-all', async (req, res) => {
-  const { answers } = req.body;
-  const today = getTodayEastern();
+// Validate all answers at once - one per clue in the puzzle. Each answer counts as a guess in the session
+router.post(['/validate-all', '/archive/:date/validate-all'], async (req, res) => {
+  const { answers, session_id } = req.body;
   
-  if (!answers || !Array.isArray(answers) || answers.length !== 5) {
-    return res.status(400).json({ error: 'Exactly 5 answers are required' });
+  if (!answers || !Array.isArray(answers)) {
+    return res.status(400).json({ error: 'Answers are required' });
   }
 
   try {
-    // Get today's daily puzzle
-    const dailyPuzzleResult = await pool.query(`
-      SELECT id FROM daily_puzzles 
-      WHERE date = $1 AND is_active = true
-    `, [today]);
-
-    const dailyPuzzle = dailyPuzzleResult.rows[0];
+    const { session, error, status } = await getGradingSession(session_id, req);
 
-    if (!dailyPuzzle) {
-      return res.status(404).json({ error: 'No puzzle available for today' });
+    if (error) {
+      return res.status(status).json({ error });
     }
 
     // Get all clues for validation
     const cluesResult = await pool.query(`
-      SELECT clue_number, answer, linking_word
+      SELECT id, clue_number, answer, linking_word, link_start, link_end
       FROM puzzle_clues 
       WHERE daily_puzzle_id = $1
       ORDER BY clue_number
-    `, [dailyPuzzle.id]);
+    `, [session.daily_puzzle_id]);
 
     const clues = cluesResult.rows;
     
-    if (clues.length !== 5) {
+    if (clues.length === 0) {
       return res.status(500).json({ error: 'Invalid puzzle configuration' });
     }
 
-    // Validate each answer
-    const results = clues.map((clue, index) => {
+    const alternates = await getAlternatesByClue(clues.map(clue => clue.id));
+    
+    if (answers.length !== clues.length) {
+      return res.status(400).json({ error: `Exactly ${clues.length} answers are required` });
+    }
+
+    const rules = resolveScoringRules(session.scoring_rules);
+    const wrongPenalty = session.word_feedback ? rules.word_feedback_guess : rules.wrong_answer;
+    
+    // Validate each answer, recording it like a single guess (near-misses are free)
+    const results = [];
+    for (const [index, clue] of clues.entries()) {
       const userAnswer = answers[index];
-      const isCorrect = userAnswer && 
-                       normalizeAnswer(userAnswer) === normalizeAnswer(clue.answer);
+      const feedback = typeof userAnswer === 'string'
+        ? gradeAnswer(userAnswer, clue.answer, clue.linking_word, alternates[clue.id])
+        : 'wrong';
+      const isCorrect = feedback === 'correct';
+
+      if (feedback !== 'close' && typeof userAnswer === 'string' && userAnswer.trim()) {
+        await recordSessionGuess(session.id, clue.clue_number, isCorrect, isCorrect ? 0 : wrongPenalty);
+      }
       
-      return {
+      results.push({
         clue_number: clue.clue_number,
         correct: isCorrect,
         ...(isCorrect && {
           linking_word: clue.linking_word,
+          ...linkingSpanFields(clue),
           full_answer: clue.answer
         })
-      };
-    });
+      });
+    }
 
     const allCorrect = results.every(r => r.correct);
     const correctCount = results.filter(r => r.correct).length;
@@ -452,7 +774,7 @@ router.post('/validate-all', async (req, res) => {
     res.json({
       all_correct: allCorrect,
       correct_count: correctCount,
-      daily_puzzle_id: dailyPuzzle.id,
+      daily_puzzle_id: session.daily_puzzle_id,
       results: results
     });
   } catch (error) {
@@ -461,86 +783,168 @@ router.post('/validate-all', async (req, res) => {
   }
 });
 
-// Submit daily game result (UPDATED with test flag)
+// Submit daily game result - score and time are computed from the session, not trusted from the client
 router.post('/submit-result', async (req, res) => {
-  const {
-    score,
-    completionTime,
-    hintsUsed,
-    wrongAnswers,
-    hintBreakdown,
-    clueResults,
-    userId, // Optional - for logged in users
-    isTest  // NEW: Flag to mark test plays
-  } = req.body;
+  const { session_id, isTest } = req.body;
 
-  if (!score || !completionTime) {
-    return res.status(400).json({ error: 'Score and completion time are required' });
+  if (!session_id) {
+    return res.status(400).json({ error: 'Game session is required' });
   }
 
-  // Don't save test results - just acknowledge them
-  if (isTest) {
-    return res.json({
-      success: true,
-      isTest: true,
-      message: 'Test result acknowledged but not saved to statistics'
-    });
-  }
+  try {
+    const session = await getOpenSession(session_id);
 
-  const today = getTodayEastern();
+    if (!session) {
+      return res.status(404).json({ error: 'Game session not found or already completed' });
+    }
 
-  try {
-    // Get today's daily puzzle ID
-    const dailyPuzzleResult = await pool.query(`
-      SELECT id FROM daily_puzzles 
-      WHERE date = $1 AND is_active = true
-    `, [today]);
+    if (!sessionMatchesRequest(session, req)) {
+      return res.status(400).json({ error: 'Game session belongs to a different puzzle' });
+    }
+    
+    const cluesResult = await pool.query(`
+      SELECT clue_number FROM puzzle_clues
+      WHERE daily_puzzle_id = $1
+      ORDER BY clue_number
+    `, [session.daily_puzzle_id]);
+
+    const eventsResult = await pool.query(`
+      SELECT clue_number, event_type, correct, hint_type, word_index, half, penalty, created_at
+      FROM game_session_events
+      WHERE session_id = $1
+      ORDER BY created_at, id
+    `, [session.id]);
+
+    const summary = summarizeSession(
+      session,
+      cluesResult.rows.map(clue => clue.clue_number),
+      eventsResult.rows
+    );
 
-    const dailyPuzzle = dailyPuzzleResult.rows[0];
+    if (!summary.allSolved) {
+      return res.status(400).json({ error: 'All clues must be solved before submitting a result' });
+    }
 
-    if (!dailyPuzzle) {
-      return res.status(404).json({ error: 'No active daily puzzle for today' });
-    }
-
-    // Insert the game result
-    const gameResultResult = await pool.query(`
-      INSERT INTO game_results 
-      (user_id, daily_puzzle_id, score, completion_time, hints_used, wrong_answers, hint_breakdown, clue_results)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING id
-    `, [
-      userId || null,
-      dailyPuzzle.id,
-      score,
-      completionTime,
-      hintsUsed || 0,
-      wrongAnswers || 0,
-      JSON.stringify(hintBreakdown || {}),
-      JSON.stringify(clueResults || [])
-    ]);
-
-    const resultId = gameResultResult.rows[0].id;
-
-    // Update daily puzzle statistics
-    await pool.query(`
-      UPDATE daily_puzzles 
-      SET plays = plays + 1,
-          avg_score = (
-            SELECT AVG(score) 
-            FROM game_results 
-            WHERE daily_puzzle_id = $1
-          ),
-          avg_time = (
-            SELECT AVG(completion_time) 
-            FROM game_results 
-            WHERE daily_puzzle_id = $1
-          )
-      WHERE id = $1
-    `, [dailyPuzzle.id]);
+    const scoring = {
+      score: summary.score,
+      completionTime: summary.completionTime,
+      hintsUsed: summary.hintsUsed,
+      hintPenalty: summary.hintPenalty,
+      wrongAnswers: summary.wrongAnswers,
+      wrongAnswerPenalty: summary.wrongAnswerPenalty,
+      timeBonus: summary.timeBonus,
+      wordFeedback: session.word_feedback,
+      mode: session.mode
+    };
+
+    const client = await pool.connect();
+    let resultId;
+    let playerStats = null;
+
+    try {
+      await client.query('BEGIN');
+
+      // Close the session first so the same play can't be submitted twice
+      const closeResult = await client.query(`
+        UPDATE game_sessions
+        SET completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND completed_at IS NULL
+      `, [session.id]);
+
+      if (closeResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Result already submitted for this session' });
+      }
+
+      // Don't save test results - just acknowledge them (the session is still closed)
+      if (isTest) {
+        await client.query('COMMIT');
+        return res.json({
+          success: true,
+          isTest: true,
+          ...scoring,
+          message: 'Test result acknowledged but not saved to statistics'
+        });
+      }
+
+      // Logged-in players get one result per puzzle. Locking the player's row makes concurrent
+      // submits from different sessions wait for each other, so only one gets through this check
+      if (session.user_id) {
+        await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [session.user_id]);
+
+        const existingResult = await client.query(`
+          SELECT 1 FROM game_results WHERE user_id = $1 AND daily_puzzle_id = $2
+        `, [session.user_id, session.daily_puzzle_id]);
+
+        if (existingResult.rows.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'You have already submitted a result for this puzzle' });
+        }
+      }
+
+      // Insert the game result
+      const gameResultResult = await client.query(`
+        INSERT INTO game_results 
+        (user_id, daily_puzzle_id, score, completion_time, hints_used, wrong_answers, hint_breakdown, clue_results, is_archive, word_feedback, mode)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING id
+      `, [
+        session.user_id,
+        session.daily_puzzle_id,
+        summary.score,
+        summary.completionTime,
+        summary.hintsUsed,
+        summary.wrongAnswers,
+        JSON.stringify(summary.hintBreakdown),
+        JSON.stringify(summary.clueResults),
+        session.is_archive,
+        session.word_feedback,
+        session.mode
+      ]);
+
+      resultId = gameResultResult.rows[0].id;
+
+      await client.query(`
+        UPDATE game_sessions SET game_result_id = $2 WHERE id = $1
+      `, [session.id, resultId]);
+
+      // Update daily puzzle statistics (archive plays don't count towards the day's stats).
+      // Every play counts, but the averages are normal mode only - hard mode has its own in /stats
+      if (!session.is_archive) {
+        await client.query(`
+          UPDATE daily_puzzles 
+          SET plays = plays + 1,
+              avg_score = (
+                SELECT AVG(score) 
+                FROM game_results 
+                WHERE daily_puzzle_id = $1 AND is_archive = false AND mode = 'normal'
+              ),
+              avg_time = (
+                SELECT AVG(completion_time) 
+                FROM game_results 
+                WHERE daily_puzzle_id = $1 AND is_archive = false AND mode = 'normal'
+              )
+          WHERE id = $1
+        `, [session.daily_puzzle_id]);
+      }
+
+      if (session.user_id) {
+        playerStats = await updatePlayerStats(client, session.user_id);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     res.json({
       success: true,
       resultId: resultId,
+      ...scoring,
+      ...(playerStats && { playerStats }),
       message: 'Result saved successfully'
     });
   } catch (error) {
@@ -549,13 +953,56 @@ router.post('/submit-result', async (req, res) => {
   }
 });
 
-// Get daily puzzle statistics (UPDATED)
+// Every result for a day in one mode, ranked (archive plays don't count): highest score first,
+// then fastest, with earlier submissions winning exact ties
+const RANKED_RESULTS_SQL = `
+  SELECT gr.id, gr.user_id, u.username, gr.score, gr.completion_time,
+         ROW_NUMBER() OVER (ORDER BY gr.score DESC, gr.completion_time ASC, gr.id ASC) as rank
+  FROM game_results gr
+  LEFT JOIN users u ON gr.user_id = u.id
+  WHERE gr.daily_puzzle_id = $1 AND gr.is_archive = false AND gr.mode = $2
+`;
+
+function leaderboardEntry(row) {
+  return {
+    rank: parseInt(row.rank, 10),
+    display_name: row.username || anonymousHandle(row.id),
+    is_anonymous: !row.username,
+    score: row.score,
+    completion_time: row.completion_time
+  };
+}
+
+async function getLeaderboard(dailyPuzzleId, mode, limit = DEFAULT_LEADERBOARD_SIZE) {
+  const result = await pool.query(`
+    SELECT * FROM (${RANKED_RESULTS_SQL}) ranked
+    ORDER BY rank
+    LIMIT $3
+  `, [dailyPuzzleId, mode, limit]);
+
+  return result.rows.map(leaderboardEntry);
+}
+
+// Where one result placed - found by its result id, or for logged-in players by their account
+async function getPlayerPlacement(dailyPuzzleId, mode, { resultId, userId }) {
+  if (!resultId && !userId) return null;
+
+  const result = await pool.query(`
+    SELECT * FROM (${RANKED_RESULTS_SQL}) ranked
+    WHERE ${resultId ? 'id' : 'user_id'} = $3
+  `, [dailyPuzzleId, mode, resultId || userId]);
+
+  return result.rows[0] ? leaderboardEntry(result.rows[0]) : null;
+}
+
+// Get daily puzzle statistics (UPDATED) - normal mode aggregates, with hard mode reported separately
 router.get('/stats/:date?', async (req, res) => {
   const date = req.params.date || getTodayEastern();
 
   try {
     const statsResult = await pool.query(`
       SELECT 
+        dp.id,
         dp.date,
         dp.plays,
         dp.avg_score,
@@ -569,8 +1016,8 @@ router.get('/stats/:date?', async (req, res) => {
         AVG(gr.hints_used) as avg_hints,
         AVG(gr.wrong_answers) as avg_wrong_answers
       FROM daily_puzzles dp
-      LEFT JOIN game_results gr ON dp.id = gr.daily_puzzle_id
-      WHERE dp.date = $1
+      LEFT JOIN game_results gr ON dp.id = gr.daily_puzzle_id AND gr.is_archive = false AND gr.mode = 'normal'
+      WHERE dp.date = $1 AND dp.status = 'published'
       GROUP BY dp.id, dp.date, dp.plays, dp.avg_score, dp.avg_time, dp.difficulty
     `, [date]);
 
@@ -580,7 +1027,84 @@ router.get('/stats/:date?', async (req, res) => {
       return res.status(404).json({ error: 'No daily puzzle found for this date' });
     }
 
-    res.json(stats);
+    const hardModeResult = await pool.query(`
+      SELECT 
+        COUNT(id) as total_completions,
+        AVG(score) as avg_score,
+        MIN(score) as min_score,
+        MAX(score) as max_score,
+        AVG(completion_time) as avg_time,
+        AVG(wrong_answers) as avg_wrong_answers
+      FROM game_results
+      WHERE daily_puzzle_id = $1 AND is_archive = false AND mode = 'hard'
+    `, [stats.id]);
+
+    res.json({
+      ...stats,
+      hard_mode: {
+        ...hardModeResult.rows[0],
+        leaderboard: await getLeaderboard(stats.id, 'hard')
+      }
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Daily leaderboard for one mode: the top results, plus the player's own placement when they pass the
+// result_id they got back from submit-result (or are logged in)
+router.get('/leaderboard/:date', optionalAuth, async (req, res) => {
+  const { date } = req.params;
+  const mode = req.query.mode || 'normal';
+  const limit = req.query.limit === undefined ? DEFAULT_LEADERBOARD_SIZE : parseInt(req.query.limit, 10);
+  const resultId = req.query.result_id === undefined ? null : parseInt(req.query.result_id, 10);
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+  }
+  if (!GAME_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${GAME_MODES.join(', ')}` });
+  }
+  if (isNaN(limit) || limit < 1 || limit > MAX_LEADERBOARD_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_LEADERBOARD_SIZE}` });
+  }
+  if (isNaN(resultId)) {
+    return res.status(400).json({ error: 'result_id must be a number' });
+  }
+
+  try {
+    const puzzleResult = await pool.query(`
+      SELECT id FROM daily_puzzles WHERE date = $1 AND status = 'published'
+    `, [date]);
+
+    const dailyPuzzle = puzzleResult.rows[0];
+
+    if (!dailyPuzzle) {
+      return res.status(404).json({ error: 'No daily puzzle found for this date' });
+    }
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total FROM game_results
+      WHERE daily_puzzle_id = $1 AND is_archive = false AND mode = $2
+    `, [dailyPuzzle.id, mode]);
+
+    const totalPlayers = parseInt(countResult.rows[0].total, 10);
+    const placement = await getPlayerPlacement(dailyPuzzle.id, mode, {
+      resultId,
+      userId: req.user ? req.user.id : null
+    });
+
+    res.json({
+      date,
+      mode,
+      total_players: totalPlayers,
+      leaderboard: await getLeaderboard(dailyPuzzle.id, mode, limit),
+      player: placement && {
+        ...placement,
+        percentile: getPercentile(placement.rank, totalPlayers)
+      }
+    });
   } catch (error) {
     console.error('Database error:', error);
     res.status(500).json({ error: 'Database error' });
@@ -592,12 +1116,12 @@ router.post('/validate', (req, res) => {
   // Redirect old single-answer validation to new format
   res.status(400).json({ 
     error: 'This endpoint is deprecated. Use /validate-clue or /validate-all instead.',
-    migration: 'The game now uses daily puzzles with 5 clues each.'
+    migration: 'The game now uses daily puzzles with 3-10 clues each.'
   });
 });
 
 // Get daily puzzle by date (admin only)
-router.get('/date/:date', requireAuth, async (req, res) => {
+router.get('/date/:date', requireAdmin, async (req, res) => {
   const { date } = req.params;
 
   try {
@@ -634,7 +1158,7 @@ router.get('/date/:date', requireAuth, async (req, res) => {
 });
 
 // Test endpoint - returns answers for automated testing (requires admin auth)
-router.get('/:id/test-answers', requireAuth, async (req, res) => {
+router.get('/:id/test-answers', requireAdmin, async (req, res) => {
   const puzzleId = req.params.id;
   
   try {
@@ -669,20 +1193,4 @@ router.get('/:id/test-answers', requireAuth, async (req, res) => {
   }
 });
 
-// Simple auth middleware
-function requireAuth(req, res, next) {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
-  
-  if (!token) {
-    return res.status(401).json({ error: 'Access denied. No token provided.' });
-  }
-
-  if (token === 'admin-token-123') {
-    req.user = { id: 1, isAdmin: true };
-    next();
-  } else {
-    res.status(401).json({ error: 'Invalid token' });
-  }
-}
-
 module.exports = router;
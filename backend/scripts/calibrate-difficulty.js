@@ -0,0 +1,29 @@
+const pool = require('../db-connection');
+const { MIN_CALIBRATION_PLAYS, calibrateDifficulty } = require('../lib/difficulty');
+
+// Usage:
+//   node scripts/calibrate-difficulty.js
+// Recalculates every puzzle's calibrated difficulty from its normal mode results. Safe to run as
+// often as you like (e.g. nightly) - each run replaces the previous numbers
+async function main() {
+  const client = await pool.connect();
+
+  try {
+    const report = await calibrateDifficulty(client);
+
+    report.calibrated.forEach(entry => {
+      console.log(`📏 ${entry.date}: ${entry.difficulty} from ${entry.plays} plays (authored ${entry.authored})`);
+    });
+    console.log(`📊 ${report.calibrated.length} puzzles calibrated, ${report.skipped} with fewer than ${MIN_CALIBRATION_PLAYS} plays skipped`);
+  } finally {
+    client.release();
+  }
+}
+
+main()
+  .then(() => pool.end())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Difficulty calibration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const pool = require('../db-connection');
+const { migrateLegacyPuzzles } = require('../lib/legacy-puzzles');
+
+// Usage:
+//   node scripts/migrate-legacy-puzzles.js [--dry-run] [--groups groups.json] [--status published]
+// Without --groups, legacy clues from five consecutive days make up each puzzle.
+// groups.json is an array of { "date": "YYYY-MM-DD", "puzzleIds": [five legacy ids] }.
+// Puzzles are created as drafts unless --status says otherwise
+async function main(args) {
+  const dryRun = args.includes('--dry-run');
+  const groupsIndex = args.indexOf('--groups');
+  const groups = groupsIndex >= 0 ? JSON.parse(fs.readFileSync(args[groupsIndex + 1], 'utf8')) : undefined;
+  const statusIndex = args.indexOf('--status');
+  const status = statusIndex >= 0 ? args[statusIndex + 1] : 'draft';
+
+  const client = await pool.connect();
+
+  try {
+    const report = await migrateLegacyPuzzles(client, { dryRun, groups, status });
+
+    console.log(`${dryRun ? '🔍 Dry run' : '🚚 Migration'}: ${report.unmigrated} unmigrated legacy clues, creating ${status} puzzles`);
+    report.created.forEach(entry => {
+      console.log(`✅ ${entry.date}: legacy ${entry.puzzleIds.join(', ')}${entry.dailyPuzzleId ? ` → daily puzzle ${entry.dailyPuzzleId}` : ''}`);
+    });
+    report.skipped.forEach(entry => {
+      console.log(`⚠️  Skipped ${entry.date}: ${entry.reason}`);
+    });
+    if (report.leftover.length > 0) {
+      console.log(`📦 Left in the legacy table: ${report.leftover.join(', ')}`);
+    }
+    console.log(`📊 ${report.created.length} daily puzzles ${dryRun ? 'would be created' : 'created'}`);
+  } finally {
+    client.release();
+  }
+}
+
+main(process.argv.slice(2))
+  .then(() => pool.end())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Legacy migration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+const pool = require('../db-connection');
+const { migrate, rollback, getStatus } = require('../db/migrator');
+
+// Usage:
+//   node scripts/migrate.js            apply pending migrations
+//   node scripts/migrate.js rollback [steps]   undo the last migration (or the last N)
+//   node scripts/migrate.js status     list migrations and whether they're applied
+async function main(command = 'up', arg) {
+  const client = await pool.connect();
+
+  try {
+    if (command === 'up') {
+      await migrate(client);
+    } else if (command === 'rollback') {
+      const steps = arg === undefined ? 1 : parseInt(arg);
+      if (isNaN(steps) || steps < 1) {
+        throw new Error('Rollback steps must be a positive number');
+      }
+      await rollback(client, steps);
+    } else if (command === 'status') {
+      const migrations = await getStatus(client);
+      migrations.forEach(migration => {
+        const appliedAt = migration.applied_at ? ` (${new Date(migration.applied_at).toISOString()})` : '';
+        console.log(`${migration.applied ? '✅' : '⏳'} ${migration.name}${appliedAt}`);
+      });
+      console.log(`📊 ${migrations.filter(m => m.applied).length}/${migrations.length} applied`);
+    } else {
+      throw new Error(`Unknown command "${command}" - use up, rollback or status`);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+main(process.argv[2], process.argv[3])
+  .then(() => pool.end())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
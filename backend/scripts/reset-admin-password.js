@@ -1,31 +1,37 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const pool = require('../db-connection');
 const bcrypt = require('bcryptjs');
 
-const DB_PATH = path.join(__dirname, '..', 'database.sqlite');
 const newPassword = process.env.DEFAULT_ADMIN_PASSWORD || 'admin123';
 
 async function resetAdminPassword() {
     console.log('🔄 Updating admin password...');
-    
-    try {
-        const hashedPassword = await bcrypt.hash(newPassword, 10);
-        const db = new sqlite3.Database(DB_PATH);
-        
-        db.run(`UPDATE users SET password_hash = ? WHERE username = 'admin'`, 
-               [hashedPassword], 
-               function(err) {
-                   if (err) {
-                       console.error('❌ Error updating password:', err);
-                   } else {
-                       console.log('✅ Admin password updated successfully');
-                       console.log('🔑 New password from environment variable');
-                   }
-                   db.close();
-               });
-    } catch (error) {
-        console.error('❌ Error:', error);
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    const result = await pool.query(
+        `UPDATE users SET password_hash = $1 WHERE username = 'admin' RETURNING id`,
+        [hashedPassword]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Admin user not found - run npm run init-db first');
     }
+
+    // Sign out any existing admin sessions so the old password can't keep using them
+    await pool.query('DELETE FROM admin_sessions WHERE user_id = $1', [result.rows[0].id]);
+
+    console.log('✅ Admin password updated successfully');
+    console.log('🔑 New password from environment variable');
+}
+
+if (require.main === module) {
+    resetAdminPassword()
+        .then(() => pool.end())
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('❌ Error updating password:', error);
+            process.exit(1);
+        });
 }
 
-resetAdminPassword();
+module.exports = { resetAdminPassword };
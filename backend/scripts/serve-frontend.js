@@ -0,0 +1,14 @@
+const express = require('express');
+const path = require('path');
+
+// Serve the static frontend for local development and the offline Playwright run.
+// Port 8000 is already allowed by the API's CORS settings
+const PORT = process.env.FRONTEND_PORT || 8000;
+const FRONTEND_DIR = path.join(__dirname, '..', '..', 'frontend');
+
+const app = express();
+app.use(express.static(FRONTEND_DIR));
+
+app.listen(PORT, () => {
+  console.log(`🧩 Frontend running on http://localhost:${PORT}`);
+});
@@ -6,6 +6,9 @@ require('dotenv').config();
 
 const puzzleRoutes = require('./routes/puzzles');
 const adminRoutes = require('./routes/admin');
+const playerRoutes = require('./routes/players');
+const pool = require('./db-connection');
+const { initDatabase, seedDatabase } = require('./scripts/init-db');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -17,10 +20,10 @@ app.use(helmet());
     credentials: true
 }));
 
-// Rate limiting
+// Rate limiting (RATE_LIMIT_MAX raises the limit, e.g. for the local Playwright run)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100, // limit each IP to 100 requests per windowMs by default
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use(limiter);
@@ -35,18 +38,7 @@ app.use(express.static('public'));
 // API Routes
 app.use('/api/puzzles', puzzleRoutes);
 app.use('/api/admin', adminRoutes);
-
-// Temporary endpoint to initialize database
-app.get('/api/init-database', async (req, res) => {
-  try {
-    const { initDatabase } = require('./scripts/init-db');
-    await initDatabase();
-    res.json({ success: true, message: 'Database initialized successfully' });
-  } catch (error) {
-    console.error('Database init error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+app.use('/api/players', playerRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -71,9 +63,28 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Before and Aftordle API running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`🎮 Game API: http://localhost:${PORT}/api/puzzles`);
-  console.log(`⚙️  Admin API: http://localhost:${PORT}/api/admin`);
+// The embedded store is migrated before serving, and seeded too outside production - the sample
+// data includes the default admin/admin123 account. Postgres deployments run npm run migrate as a
+// release step instead
+async function start() {
+  if (pool.driver === 'embedded') {
+    const seed = process.env.NODE_ENV !== 'production';
+    await initDatabase({ sampleData: seed });
+    if (seed) {
+      await seedDatabase();
+    }
+  }
+  
+  app.listen(PORT, () => {
+    console.log(`🚀 Before and Aftordle API running on port ${PORT}`);
+    console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+    console.log(`🎮 Game API: http://localhost:${PORT}/api/puzzles`);
+    console.log(`⚙️  Admin API: http://localhost:${PORT}/api/admin`);
+    console.log(`👤 Player API: http://localhost:${PORT}/api/players`);
+  });
+}
+
+start().catch((error) => {
+  console.error('❌ Failed to start server:', error);
+  process.exit(1);
 });
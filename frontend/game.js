@@ -18,15 +18,27 @@ let totalHintsUsed = 0;
 let wrongAnswers = 0;
 let hintPenalties = 0;
 let timerInterval;
+let sessionId = null; // Server-side game session - the server scores the game from it
+let wordFeedbackMode = false; // Opt-in: wrong guesses show which words are right, Wordle-style
+let hardMode = false; // Opt-in: no hints, with a time bonus for finishing fast
+let shareGuesses = false; // Opt-in: wrong guesses are logged anonymously for clue writers
+
+// Player account (optional - logged-in players' stats follow them across devices)
+let playerToken = null;
+let playerRefreshToken = null;
+let currentPlayer = null;
+let accountMode = 'login'; // login or register
 
 // Today's puzzle data (loaded from API)
 let todaysPuzzle = null;
 let puzzleClues = [];
+let archiveDate = null; // Set when playing a past puzzle from the archive
 
 // Global state for tracking word hints per question
 let wordStates = []; // Array of arrays - one per question
 let structureRevealed = []; // Track if structure is revealed per question
 let guessHistory = []; // Array of arrays - one per question
+let revealedHalves = []; // Per question: the halves ('before'/'after') uncovered with a reveal_half hint
 
 // ===== INITIALIZATION =====
 
@@ -34,6 +46,9 @@ function initGame() {
     document.getElementById('introScreen').style.display = 'block';
     document.getElementById('gameScreen').style.display = 'none';
     document.getElementById('resultsScreen').style.display = 'none';
+    document.getElementById('accountForm').addEventListener('submit', submitAccountForm);
+    loadPlayerTokens();
+    loadPlayerProfile();
     loadTodaysPuzzle();
 }
 
@@ -47,22 +62,66 @@ async function loadTodaysPuzzle() {
             return;
         }
         
-        todaysPuzzle = data;
-        puzzleClues = data.clues;
-        updateIntroScreen();
-        
+        archiveDate = null;
+        showPuzzle(data);
+    
     } catch (error) {
         console.error('Failed to load today\'s puzzle:', error);
         showError('Failed to connect to the puzzle server. Please check if the backend is running on port 3001.');
     }
 }
 
+// Show the intro for a freshly loaded puzzle, or pick up a saved game for it
+function showPuzzle(data) {
+    todaysPuzzle = data;
+    puzzleClues = data.clues;
+    sessionId = null;
+    gameComplete = false;
+    
+    document.getElementById('archiveScreen').style.display = 'none';
+    document.getElementById('gameScreen').style.display = 'none';
+    document.getElementById('resultsScreen').style.display = 'none';
+    document.getElementById('introScreen').style.display = 'block';
+    
+    updateIntroScreen();
+    renderProgressSegments();
+    restoreSavedGame();
+}
+
 function updateIntroScreen() {
     const subtitle = document.querySelector('.subtitle');
     if (todaysPuzzle) {
         const puzzleNumber = getPuzzleNumber(todaysPuzzle.date);
         const formattedDate = formatDate(todaysPuzzle.date);
         subtitle.innerHTML = `No. ${puzzleNumber} - ${formattedDate}<br><span class="byline">by Matthew DiPierro</span>`;
+        
+        // The connection error screen replaces the intro content, so these may be gone
+        const clueCount = document.getElementById('clueCount');
+        if (clueCount) {
+            clueCount.textContent = puzzleClues.length;
+        }
+        const startBtn = document.getElementById('startBtn');
+        if (startBtn) {
+            startBtn.textContent = archiveDate ? `Start Puzzle No. ${puzzleNumber}` : 'Start Today\'s Puzzle';
+        }
+        const backToTodayBtn = document.getElementById('backToTodayBtn');
+        if (backToTodayBtn) {
+            backToTodayBtn.style.display = archiveDate ? 'inline-block' : 'none';
+        }
+        const wordFeedbackToggle = document.getElementById('wordFeedbackToggle');
+        if (wordFeedbackToggle) {
+            wordFeedbackToggle.checked = localStorage.getItem('beforeAndAftordleWordFeedback') === 'true';
+            document.getElementById('wordFeedbackPenalty').textContent = todaysPuzzle.scoring_rules.word_feedback_guess;
+        }
+        const hardModeToggle = document.getElementById('hardModeToggle');
+        if (hardModeToggle) {
+            hardModeToggle.checked = localStorage.getItem('beforeAndAftordleHardMode') === 'true';
+            document.getElementById('hardModeBonus').textContent = todaysPuzzle.hard_mode_time_bonus.max;
+        }
+        const shareGuessesToggle = document.getElementById('shareGuessesToggle');
+        if (shareGuessesToggle) {
+            shareGuessesToggle.checked = localStorage.getItem('beforeAndAftordleShareGuesses') === 'true';
+        }
     }
 }
 
@@ -80,18 +139,13 @@ function getPuzzleNumber(dateString) {
     return Math.max(1, daysDiff);
 }
 
-function formatDate(dateString) {
+function formatDate(dateString, options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) {
     // Handle PostgreSQL date format properly
     const cleanDateString = dateString.split('T')[0]; // Remove time if present
     const [year, month, day] = cleanDateString.split('-').map(Number);
     const date = new Date(year, month - 1, day); // month is 0-indexed in JS
     
-    return date.toLocaleDateString('en-US', { 
-        weekday: 'long',
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-    });
+    return date.toLocaleDateString('en-US', options);
 }
 
 function showError(message) {
@@ -107,14 +161,298 @@ function showError(message) {
     `;
 }
 
+// ===== PLAYER ACCOUNTS =====
+
+function loadPlayerTokens() {
+    try {
+        playerToken = localStorage.getItem('beforeAndAftordlePlayerToken');
+        playerRefreshToken = localStorage.getItem('beforeAndAftordlePlayerRefreshToken');
+    } catch (e) {
+        // localStorage not available
+    }
+}
+
+function storePlayerTokens(token, refreshToken) {
+    playerToken = token;
+    playerRefreshToken = refreshToken;
+    try {
+        localStorage.setItem('beforeAndAftordlePlayerToken', token);
+        localStorage.setItem('beforeAndAftordlePlayerRefreshToken', refreshToken);
+    } catch (e) {
+        // localStorage not available
+    }
+}
+
+function clearPlayerTokens() {
+    playerToken = null;
+    playerRefreshToken = null;
+    currentPlayer = null;
+    try {
+        localStorage.removeItem('beforeAndAftordlePlayerToken');
+        localStorage.removeItem('beforeAndAftordlePlayerRefreshToken');
+    } catch (e) {
+        // localStorage not available
+    }
+}
+
+async function refreshPlayerToken() {
+    if (!playerRefreshToken) return false;
+    
+    try {
+        const response = await fetch(`${API_BASE}/players/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: playerRefreshToken })
+        });
+        
+        const data = await response.json();
+        if (!data.success) return false;
+        
+        storePlayerTokens(data.token, data.refreshToken);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// fetch() that sends the player's token when logged in, refreshing it once if it has expired
+async function authFetch(url, options = {}, isRetry = false) {
+    const headers = { 'Content-Type': 'application/json', ...options.headers };
+    if (playerToken) {
+        headers['Authorization'] = `Bearer ${playerToken}`;
+    }
+    
+    const response = await fetch(url, { ...options, headers });
+    
+    if (response.status === 401 && playerToken && !isRetry) {
+        if (!(await refreshPlayerToken())) {
+            // Session is gone - carry on as an anonymous player
+            clearPlayerTokens();
+            updateAccountSection();
+        }
+        return authFetch(url, options, true);
+    }
+    
+    return response;
+}
+
+async function loadPlayerProfile() {
+    if (!playerToken) {
+        updateAccountSection();
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`${API_BASE}/players/me`);
+        currentPlayer = response.ok ? await response.json() : null;
+    } catch (error) {
+        console.error('Failed to load player profile:', error);
+    }
+    updateAccountSection();
+}
+
+function updateAccountSection() {
+    const status = document.getElementById('accountStatus');
+    if (!status) return; // Intro content replaced by an error message
+    
+    const loggedIn = !!currentPlayer;
+    status.textContent = loggedIn
+        ? `Playing as ${currentPlayer.username}`
+        : 'Log in to keep your stats across devices';
+    document.getElementById('accountToggleBtn').style.display = loggedIn ? 'none' : 'inline-block';
+    document.getElementById('logoutBtn').style.display = loggedIn ? 'inline-block' : 'none';
+    if (loggedIn) {
+        document.getElementById('accountForm').style.display = 'none';
+    }
+}
+
+function toggleAccountForm() {
+    const form = document.getElementById('accountForm');
+    form.style.display = form.style.display === 'none' ? 'flex' : 'none';
+    if (form.style.display === 'flex') {
+        document.getElementById('playerUsername').focus();
+    }
+}
+
+function toggleAccountMode() {
+    accountMode = accountMode === 'login' ? 'register' : 'login';
+    const isRegister = accountMode === 'register';
+    
+    document.getElementById('playerEmail').style.display = isRegister ? 'block' : 'none';
+    document.getElementById('playerPassword').autocomplete = isRegister ? 'new-password' : 'current-password';
+    document.getElementById('accountSubmitBtn').textContent = isRegister ? 'Create Account' : 'Log In';
+    document.getElementById('accountModeLink').textContent = isRegister
+        ? 'Already have an account? Log in'
+        : 'New here? Create an account';
+    document.getElementById('accountFeedback').style.display = 'none';
+}
+
+async function submitAccountForm(e) {
+    e.preventDefault();
+    
+    const feedback = document.getElementById('accountFeedback');
+    const submitBtn = document.getElementById('accountSubmitBtn');
+    const body = {
+        username: document.getElementById('playerUsername').value.trim(),
+        password: document.getElementById('playerPassword').value
+    };
+    if (accountMode === 'register') {
+        body.email = document.getElementById('playerEmail').value.trim();
+    }
+    
+    submitBtn.disabled = true;
+    feedback.style.display = 'none';
+    
+    try {
+        const response = await fetch(`${API_BASE}/players/${accountMode}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            feedback.textContent = data.error || 'Something went wrong. Please try again.';
+            feedback.style.display = 'block';
+            return;
+        }
+        
+        storePlayerTokens(data.token, data.refreshToken);
+        currentPlayer = data.player;
+        document.getElementById('accountForm').reset();
+        updateAccountSection();
+    } catch (error) {
+        console.error('Account request failed:', error);
+        feedback.textContent = 'Connection error. Please try again.';
+        feedback.style.display = 'block';
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+async function logoutPlayer() {
+    if (playerRefreshToken) {
+        try {
+            await fetch(`${API_BASE}/players/logout`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: playerRefreshToken })
+            });
+        } catch (error) {
+            console.error('Logout request failed:', error);
+        }
+    }
+    clearPlayerTokens();
+    updateAccountSection();
+}
+
+// ===== ARCHIVE =====
+
+async function showArchive() {
+    document.getElementById('introScreen').style.display = 'none';
+    document.getElementById('resultsScreen').style.display = 'none';
+    document.getElementById('archiveScreen').style.display = 'block';
+    
+    const grid = document.getElementById('archiveGrid');
+    grid.innerHTML = '<p class="archive-empty">Loading past puzzles...</p>';
+    
+    try {
+        const response = await fetch(`${API_BASE}/puzzles/archive`);
+        const puzzles = await response.json();
+        
+        if (puzzles.error) {
+            grid.innerHTML = `<p class="archive-empty">${puzzles.error}</p>`;
+            return;
+        }
+        
+        if (!puzzles.length) {
+            grid.innerHTML = '<p class="archive-empty">No past puzzles yet - check back tomorrow!</p>';
+            return;
+        }
+        
+        grid.innerHTML = '';
+        puzzles.forEach(puzzle => {
+            const date = puzzle.date.split('T')[0];
+            const saved = loadSavedGame(date);
+            
+            const tile = document.createElement('button');
+            tile.className = 'archive-tile';
+            
+            let status = 'Not played';
+            if (saved && saved.results) {
+                status = formatScore(saved.results.finalScore, saved.results.hardMode);
+                tile.classList.add('completed');
+            } else if (saved) {
+                status = 'In progress';
+                tile.classList.add('in-progress');
+            }
+            
+            tile.innerHTML = `
+                <span class="archive-number">No. ${getPuzzleNumber(date)}</span>
+                <span class="archive-date">${formatDate(date, { month: 'short', day: 'numeric', year: 'numeric' })}</span>
+                <span class="archive-status">${status}</span>
+            `;
+            tile.onclick = () => loadArchivePuzzle(date);
+            grid.appendChild(tile);
+        });
+    } catch (error) {
+        console.error('Failed to load the archive:', error);
+        grid.innerHTML = '<p class="archive-empty">Failed to load past puzzles. Please try again.</p>';
+    }
+}
+
+async function loadArchivePuzzle(date) {
+    try {
+        const response = await fetch(`${API_BASE}/puzzles/archive/${date}`);
+        const data = await response.json();
+        
+        if (data.error) {
+            alert(`Could not load that puzzle: ${data.error}`);
+            return;
+        }
+        
+        archiveDate = date;
+        showPuzzle(data);
+    } catch (error) {
+        console.error('Failed to load archive puzzle:', error);
+        alert('Failed to load that puzzle. Please check your connection and try again.');
+    }
+}
+
+// Gameplay endpoint for the loaded puzzle - archive puzzles go through date-scoped routes
+function puzzleApiUrl(endpoint) {
+    return archiveDate
+        ? `${API_BASE}/puzzles/archive/${archiveDate}/${endpoint}`
+        : `${API_BASE}/puzzles/${endpoint}`;
+}
+
 // ===== GAME FLOW =====
 
-function startGame() {
+async function startGame() {
     if (!todaysPuzzle || !puzzleClues.length) {
         alert('No puzzle loaded! Please wait for the puzzle to load or check your connection.');
         return;
     }
     
+    // Remember the mode choices for next time
+    wordFeedbackMode = document.getElementById('wordFeedbackToggle').checked;
+    hardMode = document.getElementById('hardModeToggle').checked;
+    shareGuesses = document.getElementById('shareGuessesToggle').checked;
+    try {
+        localStorage.setItem('beforeAndAftordleWordFeedback', wordFeedbackMode);
+        localStorage.setItem('beforeAndAftordleHardMode', hardMode);
+        localStorage.setItem('beforeAndAftordleShareGuesses', shareGuesses);
+    } catch (e) {
+        // localStorage not available
+    }
+    
+    sessionId = await startSession();
+    if (!sessionId) {
+        alert('Could not start a game session. Please check your connection and try again.');
+        return;
+    }
+    
     document.getElementById('introScreen').style.display = 'none';
     document.getElementById('gameScreen').style.display = 'block';
     
@@ -129,7 +467,9 @@ function startGame() {
     wordStates = [];
     structureRevealed = [];
     guessHistory = [];
+    revealedHalves = [];
     
+    saveGameState();
     loadQuestion();
     startTimer();
 }
@@ -158,6 +498,8 @@ function loadQuestion() {
     updateSubmitButton();
     // Hide guess history for new question
     document.getElementById('guessHistory').style.display = 'none';
+    
+    syncHintState();
 }
 
 function updateDisplay() {
@@ -172,7 +514,7 @@ function updateDisplay() {
         // Show as hint button
         display.classList.add('answer-display-clickable');
         display.onclick = giveHint;
-        display.innerHTML = '<div class="hint-prompt">💡 Tap here for hint — Show word structure (-5 points)</div>';
+        display.innerHTML = getHintPromptHtml();
     }
 }
 
@@ -180,17 +522,131 @@ function showEmptyState() {
     const display = document.getElementById('answerDisplay');
     display.classList.add('answer-display-clickable');
     display.onclick = giveHint;
-    display.innerHTML = '<div class="hint-prompt">💡 Tap here for hint — Show word structure (-5 points)</div>';
+    display.innerHTML = getHintPromptHtml();
+}
+
+function getHintPromptHtml() {
+    if (hardMode) {
+        return '<div class="hint-prompt">🔥 Hard mode — no hints. Finish fast for a speed bonus!</div>';
+    }
+    const penalty = todaysPuzzle.scoring_rules.structure_hint;
+    return `<div class="hint-prompt">💡 Tap here for hint — Show word structure (-${penalty} points)</div>`;
+}
+
+// ===== SAVED GAME STATE =====
+
+function getSavedGameKey(date = todaysPuzzle.date) {
+    return `beforeAndAftordleGame-${date.split('T')[0]}`;
+}
+
+// Save the in-progress game (or the finished results) for this puzzle date
+function saveGameState(results = null) {
+    if (!todaysPuzzle) return;
+    
+    const state = {
+        sessionId,
+        wordFeedbackMode,
+        hardMode,
+        shareGuesses,
+        currentQuestion,
+        startTime,
+        questionHints,
+        totalHintsUsed,
+        wrongAnswers,
+        hintPenalties,
+        wordStates,
+        structureRevealed,
+        guessHistory,
+        revealedHalves,
+        results
+    };
+    
+    try {
+        localStorage.setItem(getSavedGameKey(), JSON.stringify(state));
+    } catch (e) {
+        // localStorage not available
+    }
+}
+
+function loadSavedGame(date) {
+    try {
+        return JSON.parse(localStorage.getItem(getSavedGameKey(date)) || 'null');
+    } catch (e) {
+        return null;
+    }
+}
+
+// Pick up where the player left off - a finished game goes straight back to its results
+function restoreSavedGame() {
+    const saved = loadSavedGame();
+    if (!saved) return;
+    
+    sessionId = saved.sessionId;
+    wordFeedbackMode = !!saved.wordFeedbackMode;
+    hardMode = !!saved.hardMode;
+    shareGuesses = !!saved.shareGuesses;
+    currentQuestion = saved.currentQuestion;
+    startTime = saved.startTime;
+    questionHints = saved.questionHints;
+    totalHintsUsed = saved.totalHintsUsed;
+    wrongAnswers = saved.wrongAnswers;
+    hintPenalties = saved.hintPenalties;
+    wordStates = saved.wordStates;
+    structureRevealed = saved.structureRevealed;
+    guessHistory = saved.guessHistory;
+    revealedHalves = saved.revealedHalves || [];
+    
+    document.getElementById('introScreen').style.display = 'none';
+    
+    if (saved.results) {
+        gameComplete = true;
+        renderResults(saved.results);
+        return;
+    }
+    
+    gameComplete = false;
+    document.getElementById('gameScreen').style.display = 'block';
+    loadQuestion();
+    updateGuessHistoryDisplay();
+    startTimer();
 }
 
 // ===== API CALLS =====
 
+async function startSession() {
+    try {
+        // Pin the session to the puzzle that was loaded, even if the day rolls over mid-game
+        const response = await authFetch(puzzleApiUrl('start-session'), {
+            method: 'POST',
+            body: JSON.stringify({
+                daily_puzzle_id: todaysPuzzle.id,
+                word_feedback: wordFeedbackMode,
+                mode: hardMode ? 'hard' : 'normal'
+            })
+        });
+        
+        const data = await response.json();
+        if (data.error) {
+            console.error('Failed to start session:', data.error);
+            return null;
+        }
+        return data.session_id;
+    } catch (error) {
+        console.error('Error starting session:', error);
+        return null;
+    }
+}
+
 async function getStructureHint() {
     try {
-        const response = await fetch(`${API_BASE}/puzzles/get-hint`, {
+        const response = await fetch(puzzleApiUrl('get-hint'), {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ clue_number: currentQuestion + 1 })
+            body: JSON.stringify({
+                daily_puzzle_id: todaysPuzzle.id,
+                clue_number: currentQuestion + 1,
+                session_id: sessionId
+            })
         });
         
         const hintData = await response.json();
@@ -208,13 +664,15 @@ async function getStructureHint() {
 
 async function getWordHint(wordIndex, hintType) {
     try {
-        const response = await fetch(`${API_BASE}/puzzles/get-hint`, {
+        const response = await fetch(puzzleApiUrl('get-hint'), {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
+                daily_puzzle_id: todaysPuzzle.id,
                 clue_number: currentQuestion + 1,
                 word_index: wordIndex,
-                hint_type: hintType
+                hint_type: hintType,
+                session_id: sessionId
             })
         });
         
@@ -231,6 +689,64 @@ async function getWordHint(wordIndex, hintType) {
     }
 }
 
+// The server keeps each clue's real hint state for the session - pick it up in case this device's
+// saved copy is missing or behind (e.g. the game was continued elsewhere)
+async function syncHintState() {
+    if (!sessionId) return;
+    const questionIndex = currentQuestion;
+    
+    try {
+        const response = await fetch(puzzleApiUrl('get-hint-state'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                daily_puzzle_id: todaysPuzzle.id,
+                clue_number: questionIndex + 1,
+                session_id: sessionId
+            })
+        });
+        
+        const hintState = await response.json();
+        if (hintState.error || !hintState.structure_revealed || questionIndex !== currentQuestion || gameComplete) return;
+        
+        while (revealedHalves.length <= questionIndex) {
+            revealedHalves.push([]);
+        }
+        revealedHalves[questionIndex] = hintState.revealed_halves;
+        initializeWordStates(hintState.word_structure);
+        saveGameState();
+    } catch (error) {
+        console.error('Error syncing hint state:', error);
+    }
+}
+
+async function getHalfHint(half) {
+    try {
+        const response = await fetch(puzzleApiUrl('get-hint'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                daily_puzzle_id: todaysPuzzle.id,
+                clue_number: currentQuestion + 1,
+                hint_type: 'reveal_half',
+                half: half,
+                session_id: sessionId
+            })
+        });
+        
+        const hintData = await response.json();
+        if (hintData.error) {
+            showFeedback(`Hint error: ${hintData.error}`, 'incorrect');
+            return null;
+        }
+        return hintData;
+    } catch (error) {
+        console.error('Error getting half hint:', error);
+        showFeedback('Failed to get hint. Try again.', 'incorrect');
+        return null;
+    }
+}
+
 async function checkAnswer() {
     const userAnswer = document.getElementById('answerInput').value.toUpperCase().trim();
     
@@ -240,12 +756,15 @@ async function checkAnswer() {
     }
     
     try {
-        const response = await fetch(`${API_BASE}/puzzles/validate-clue`, {
+        const response = await fetch(puzzleApiUrl('validate-clue'), {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
+                daily_puzzle_id: todaysPuzzle.id,
                 clue_number: currentQuestion + 1,
-                answer: userAnswer
+                answer: userAnswer,
+                session_id: sessionId,
+                share_guess: shareGuesses
             })
         });
         
@@ -265,27 +784,41 @@ async function checkAnswer() {
                     setTimeout(() => revealCompleteAnswer(result.full_answer), 500);
                 } else {
                     // Show complete answer celebration for solving without hints
-                    setTimeout(() => showCelebrationAnswer(result.full_answer, result.linking_word), 500);
+                    setTimeout(() => showCelebrationAnswer(result.full_answer, result.link_start, result.link_end), 500);
                 }
             }
             
             setTimeout(() => {
                 currentQuestion++;
+                saveGameState();
                 loadQuestion();
             }, 2500);
+        } else if (result.feedback === 'close') {
+            // Near-miss: no penalty, leave the guess in the box so it can be fixed
+            showFeedback('So close! Check your spelling (no penalty)', 'close');
         } else {
             wrongAnswers++;
             
-            // Track the wrong guess (newest first, limit to 5)
-            guessHistory[currentQuestion].unshift(userAnswer);
+            // Track the wrong guess (newest first, limit to 5) - with its per-word feedback in word feedback mode
+            guessHistory[currentQuestion].unshift(
+                result.word_feedback ? { guess: userAnswer, word_feedback: result.word_feedback } : userAnswer
+            );
             if (guessHistory[currentQuestion].length > 5) {
                 guessHistory[currentQuestion].pop(); // Remove oldest
             }
 
             // Update the display
+            if (result.word_feedback && isStructureRevealed()) {
+                applyWordFeedback(result.word_feedback);
+                renderInteractiveWordDisplay();
+            }
             updateGuessHistoryDisplay();
+            saveGameState();
             
-            showFeedback('Try again!', 'incorrect');
+            const message = result.feedback === 'linking_word'
+                ? 'Not quite, but you found the linking word! Try again!'
+                : 'Try again!';
+            showFeedback(message, 'incorrect');
             document.getElementById('answerInput').value = '';
         }
         
@@ -301,6 +834,11 @@ async function giveHint() {
     // Prevent clicking if structure already revealed
     if (isStructureRevealed()) return;
     
+    if (hardMode) {
+        showFeedback('No hints in hard mode!', 'incorrect');
+        return;
+    }
+    
     console.log('Getting structure hint...');
     const hintData = await getStructureHint();
     if (!hintData) return;
@@ -313,6 +851,7 @@ async function giveHint() {
     
     showFeedback(`Word structure revealed (-${hintData.penalty} points)`, 'incorrect');
     initializeWordStates(hintData.word_structure);
+    saveGameState();
 }
 
 function initializeWordStates(wordStructure) {
@@ -324,24 +863,27 @@ function initializeWordStates(wordStructure) {
         structureRevealed.push(false);
     }
     
-    // Initialize word states for current question
+    // Initialize word states for current question from the server's hint state
     // Use the server's letters array which includes pre-revealed punctuation
-    wordStates[currentQuestion] = wordStructure.map(wordData => {
-        // Make sure non-linking words start as clickable
-        const clickable = !wordData.is_linking;
-        
-        return {
-            word_index: wordData.word_index,
-            length: wordData.length,
-            is_linking: wordData.is_linking,
-            state: 'empty',
-            letters: wordData.letters.slice(), // Use server's letters (includes punctuation)
-            clickable: clickable  // Non-linking words should be clickable initially
-        };
-    });
+    wordStates[currentQuestion] = wordStructure.map(wordData => ({
+        word_index: wordData.word_index,
+        length: wordData.length,
+        is_linking: wordData.is_linking,
+        state: wordData.state,
+        first_letter_hinted: wordData.first_letter_hinted,
+        letters: wordData.letters.slice(), // Use server's letters (includes punctuation)
+        clickable: wordData.clickable
+    }));
     
     structureRevealed[currentQuestion] = true;
     
+    // Lock in any words earlier word feedback guesses got right (oldest guess first)
+    (guessHistory[currentQuestion] || []).slice().reverse().forEach(entry => {
+        if (entry.word_feedback) {
+            applyWordFeedback(entry.word_feedback);
+        }
+    });
+    
     console.log('Final word states:', wordStates[currentQuestion]);
     
     // Remove clickable state from answer display
@@ -366,8 +908,8 @@ async function handleWordClick(wordIndex) {
     }
     
     if (!wordState.clickable) {
-        const message = wordState.is_linking ? 
-            'Complete other words first to unlock the linking word' : 
+        const message = wordState.is_linking && !isWordRevealed(wordState) ? 
+            'Complete other words first to unlock the linking word, or reveal a whole half' : 
             'This word is not available for hints';
         showFeedback(message, 'incorrect');
         console.log('Word not clickable:', message);
@@ -404,6 +946,8 @@ async function handleWordClick(wordIndex) {
     updateWordState(wordIndex, hintData);
     
     checkLinkingWordAvailability();
+    updateHalfRevealButtons();
+    saveGameState();
 }
 
 function updateWordState(wordIndex, hintData) {
@@ -429,18 +973,111 @@ function updateWordState(wordIndex, hintData) {
     }
 }
 
+// Uncover the before or after phrase at once, once per half. The linking word is only included once every
+// other word is revealed; words already revealed are left alone and any first letter already paid for stays charged
+async function revealHalf(half) {
+    if (!canRevealHalf(half)) return;
+    
+    const hintData = await getHalfHint(half);
+    if (!hintData) return;
+    
+    hintPenalties += hintData.penalty;
+    totalHintsUsed++;
+    questionHints[currentQuestion]++;  // Track hint for this question
+    
+    while (revealedHalves.length <= currentQuestion) {
+        revealedHalves.push([]);
+    }
+    revealedHalves[currentQuestion].push(half);
+    
+    showFeedback(`${half === 'before' ? 'Before' : 'After'} phrase revealed (-${hintData.penalty} points)`, 'incorrect');
+    
+    const currentWordStates = getCurrentWordStates();
+    hintData.revealed_words.forEach(revealed => {
+        const wordState = currentWordStates[revealed.word_index];
+        if (!wordState || isWordRevealed(wordState)) return;
+        
+        wordState.first_letter_hinted = wordState.state === 'first_letter';
+        wordState.state = 'half';
+        wordState.letters = revealed.word.split('');
+        wordState.clickable = false;
+        
+        setTimeout(() => animateFullWordReveal(revealed.word_index, revealed.word), 100);
+    });
+    
+    checkLinkingWordAvailability();
+    updateHalfRevealButtons();
+    saveGameState();
+}
+
+// Whether a half reveal is still available and would uncover anything - each half is revealed once and the
+// linking word stays locked until every other word is revealed
+function canRevealHalf(half) {
+    const halfWords = getHalfWordStates(half);
+    if (!halfWords || (revealedHalves[currentQuestion] || []).includes(half)) return false;
+    
+    const linkingUnlocked = getCurrentWordStates().filter(word => !word.is_linking).every(isWordRevealed);
+    return halfWords.some(word => !isWordRevealed(word) && (!word.is_linking || linkingUnlocked));
+}
+
+// Word states in the before half (up to the end of the linking word) or the after half (from its start)
+function getHalfWordStates(half) {
+    const currentWordStates = getCurrentWordStates();
+    if (!currentWordStates) return null;
+    
+    const linkingIndexes = currentWordStates.filter(word => word.is_linking).map(word => word.word_index);
+    if (linkingIndexes.length === 0) return null;
+    
+    return currentWordStates.filter(word => half === 'before'
+        ? word.word_index <= Math.max(...linkingIndexes)
+        : word.word_index >= Math.min(...linkingIndexes));
+}
+
+// Word feedback mode: mark each word with the latest guess's result and lock correct words in place.
+// A locked word was guessed rather than hinted, so it carries no hint penalty
+function applyWordFeedback(feedback) {
+    const currentWordStates = getCurrentWordStates();
+    if (!currentWordStates) return;
+    
+    feedback.forEach(result => {
+        const wordState = currentWordStates[result.word_index];
+        if (!wordState || wordState.state === 'locked') return;
+        
+        wordState.feedback = result.status;
+        if (result.status === 'correct' && !isWordRevealed(wordState)) {
+            wordState.state = 'locked';
+            wordState.letters = result.word.split('');
+            wordState.clickable = false;
+        }
+    });
+    
+    checkLinkingWordAvailability();
+}
+
+function isWordRevealed(wordState) {
+    return wordState.state === 'full_word' || wordState.state === 'locked' || wordState.state === 'half';
+}
+
+// The linking word(s) unlock once every other word is revealed - a multi-word link unlocks together.
+// The server enforces the same rule; this keeps the display in step without a round trip
 function checkLinkingWordAvailability() {
     const currentWordStates = getCurrentWordStates();
-    const linkingWordIndex = currentWordStates.findIndex(word => word.is_linking);
-    if (linkingWordIndex === -1) return;
+    const linkingWords = currentWordStates.filter(word => word.is_linking);
+    if (linkingWords.length === 0) return;
     
     const nonLinkingWords = currentWordStates.filter(word => !word.is_linking);
-    const allNonLinkingRevealed = nonLinkingWords.every(word => word.state === 'full_word');
-    
-    const wasClickable = currentWordStates[linkingWordIndex].clickable;
-    currentWordStates[linkingWordIndex].clickable = allNonLinkingRevealed;
+    const allNonLinkingRevealed = nonLinkingWords.every(isWordRevealed);
+    
+    let newlyUnlocked = false;
+    linkingWords.forEach(linkingWord => {
+        const wasClickable = linkingWord.clickable;
+        linkingWord.clickable = allNonLinkingRevealed && linkingWord.state !== 'locked' && linkingWord.state !== 'half';
+        if (linkingWord.clickable && !wasClickable && linkingWord.state !== 'full_word') {
+            newlyUnlocked = true;
+        }
+    });
     
-    if (allNonLinkingRevealed && !wasClickable && currentWordStates[linkingWordIndex].state !== 'full_word') {
+    if (newlyUnlocked) {
         // Wait exactly 4000ms to transition smoothly from "Fully revealed" message
         setTimeout(() => showFeedback('The linking word may now be revealed', 'correct'), 4000);
     }
@@ -471,7 +1108,8 @@ function renderInteractiveWordDisplay() {
         const classes = [
             'word-group',
             wordData.clickable ? 'clickable-word' : '',
-            wordData.is_linking ? 'linking-word-group' : ''
+            wordData.is_linking ? 'linking-word-group' : '',
+            wordData.feedback ? `feedback-${wordData.feedback}` : ''
         ].filter(Boolean).join(' ');
         
         html += `<div class="${classes}" 
@@ -502,7 +1140,15 @@ function renderInteractiveWordDisplay() {
     // Add instruction text that will show feedback temporarily
     html += '<div class="word-instruction" id="wordInstruction">Tap words to reveal letters</div>';
     
+    // Or reveal a whole side of the chain at once
+    const halfPenalty = todaysPuzzle.scoring_rules.reveal_half;
+    html += `<div class="half-reveal">
+                <button class="half-reveal-btn" id="revealBeforeBtn" onclick="revealHalf('before')">⬅️ Reveal before phrase (-${halfPenalty})</button>
+                <button class="half-reveal-btn" id="revealAfterBtn" onclick="revealHalf('after')">Reveal after phrase ➡️ (-${halfPenalty})</button>
+             </div>`;
+    
     display.innerHTML = html;
+    updateHalfRevealButtons();
     
     // Only animate boxes on first render (structure reveal)
     if (isFirstRender) {
@@ -521,10 +1167,23 @@ function renderInteractiveWordDisplay() {
     })));
 }
 
+// A half can't be revealed once every word in it is showing
+function updateHalfRevealButtons() {
+    [['before', 'revealBeforeBtn'], ['after', 'revealAfterBtn']].forEach(([half, buttonId]) => {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            button.disabled = !canRevealHalf(half);
+        }
+    });
+}
+
 function revealCompleteAnswer(fullAnswer) {
     const currentWordStates = getCurrentWordStates();
     const words = fullAnswer.split(' ');
     
+    // The clue is solved - there's nothing left to reveal
+    document.querySelectorAll('.half-reveal-btn').forEach(button => button.disabled = true);
+    
     // Reveal words sequentially
     words.forEach((word, wordIndex) => {
         const wordState = currentWordStates[wordIndex];
@@ -550,17 +1209,15 @@ function revealCompleteAnswer(fullAnswer) {
     });
 }
 
-function showCelebrationAnswer(fullAnswer, linkingWord) {
+// linkStart/linkEnd are the linking span's word offsets (inclusive)
+function showCelebrationAnswer(fullAnswer, linkStart, linkEnd) {
     const display = document.getElementById('answerDisplay');
     const words = fullAnswer.split(' ');
-    const linkIndex = words.findIndex((word, index) => 
-      word === linkingWord && index > 0 && index < words.length - 1
-    );
     
     let html = '<div class="letter-boxes celebration-reveal">';
     
     words.forEach((word, wordIndex) => {
-        const isLinking = wordIndex === linkIndex;
+        const isLinking = wordIndex >= linkStart && wordIndex <= linkEnd;
         const groupClass = isLinking ? 'word-group linking-word-group celebration' : 'word-group celebration';
         
         html += `<div class="${groupClass}">`;
@@ -587,17 +1244,14 @@ function showCelebrationAnswer(fullAnswer, linkingWord) {
     display.innerHTML = html;
 }
 
-function showCompleteAnswer(answer, linkingWord) {
+function showCompleteAnswer(answer, linkStart, linkEnd) {
     const display = document.getElementById('answerDisplay');
     const words = answer.split(' ');
-    const linkIndex = words.findIndex((word, index) => 
-      word === linkingWord && index > 0 && index < words.length - 1
-    );
     
     let html = '<div class="letter-boxes">';
     
     words.forEach((word, wordIndex) => {
-        const isLinking = wordIndex === linkIndex;
+        const isLinking = wordIndex >= linkStart && wordIndex <= linkEnd;
         html += `<div class="word-group${isLinking ? ' linking-word-group' : ''}">`;
         
         for (let i = 0; i < word.length; i++) {
@@ -733,7 +1387,7 @@ function showFeedback(message, type) {
         }
     } else {
         // Show in main feedback area for other messages
-        feedback.classList.remove('correct', 'incorrect');
+        feedback.classList.remove('correct', 'incorrect', 'close');
         feedback.textContent = message;
         feedback.classList.add(type);
         feedback.style.display = 'block';
@@ -760,12 +1414,33 @@ function updateGuessHistoryDisplay() {
     // Show the container
     historyContainer.style.display = 'block';
     
-    // Build the list (newest first)
+    // Build the list (newest first) - word feedback guesses color each word
     historyList.innerHTML = currentGuesses
-        .map(guess => `<div class="guess-item">\u274C ${guess}</div>`)
+        .map(entry => {
+            if (!entry.word_feedback) {
+                return `<div class="guess-item">\u274C ${entry}</div>`;
+            }
+            const words = entry.word_feedback
+                .map(result => `<span class="guess-word ${result.status}">${result.guess || '?'}</span>`)
+                .join(' ');
+            return `<div class="guess-item guess-item-feedback">${words}</div>`;
+        })
         .join('');
 }
 
+// One progress segment per clue in the loaded puzzle
+function renderProgressSegments() {
+    const container = document.getElementById('progressSegments');
+    container.innerHTML = '';
+    
+    for (let i = 0; i < puzzleClues.length; i++) {
+        const segment = document.createElement('div');
+        segment.className = 'segment';
+        segment.dataset.segment = i;
+        container.appendChild(segment);
+    }
+}
+
 function updateProgress() {
     const segments = document.querySelectorAll('.segment');
     
@@ -805,28 +1480,69 @@ function isStructureRevealed() {
     return structureRevealed[currentQuestion] || false;
 }
 
+// Whole-day number for a YYYY-MM-DD date string (timezone-independent)
+function toDayNumber(dateString) {
+    const [year, month, day] = dateString.split('T')[0].split('-').map(Number);
+    return Math.round(Date.UTC(year, month - 1, day) / (1000 * 60 * 60 * 24));
+}
+
+// Current and best runs of consecutive puzzle dates played (mirrors the server's streak rules).
+// The current streak only survives if the latest play was for today or yesterday.
+function calculateStreaks(playedDates, today) {
+    const days = [...new Set(playedDates.map(toDayNumber))].sort((a, b) => a - b);
+    
+    let run = 0;
+    let bestStreak = 0;
+    
+    days.forEach((day, index) => {
+        run = index > 0 && day === days[index - 1] + 1 ? run + 1 : 1;
+        bestStreak = Math.max(bestStreak, run);
+    });
+    
+    const lastDay = days[days.length - 1];
+    const currentStreak = days.length > 0 && toDayNumber(today) - lastDay <= 1 ? run : 0;
+    
+    return { currentStreak, bestStreak };
+}
+
+// Hard mode speed bonus for a finish time (mirrors the server's curve - it halves every halfLife seconds)
+function getTimeBonus(seconds) {
+    const bonus = todaysPuzzle.hard_mode_time_bonus;
+    return Math.round(bonus.max * Math.pow(0.5, seconds / bonus.halfLife));
+}
+
 function getQuestionHintSummary() {
     // Use the actual tracked hint count for this question
     const hintsUsed = questionHints[currentQuestion] || 0;
     
-    // Calculate penalty from word states if available
+    // Calculate penalty from word states using the puzzle's scoring rules
+    const rules = todaysPuzzle.scoring_rules;
     let totalPenalty = 0;
     const currentWordStates = getCurrentWordStates();
     
     if (isStructureRevealed()) {
-        totalPenalty += 5;
+        totalPenalty += rules.structure_hint;
     }
     
     if (currentWordStates) {
         currentWordStates.forEach(word => {
+            const firstLetter = word.is_linking ? rules.linking_first_letter : rules.word_first_letter;
+            const fullWord = word.is_linking ? rules.linking_full_word : rules.word_full_word;
+            
+            // A full reveal always comes after the first letter, so both were charged
             if (word.state === 'first_letter') {
-                totalPenalty += word.is_linking ? 5 : 3;
+                totalPenalty += firstLetter;
             } else if (word.state === 'full_word') {
-                totalPenalty += word.is_linking ? 10 : 6;
+                totalPenalty += firstLetter + fullWord;
+            } else if (word.state === 'half' && word.first_letter_hinted) {
+                totalPenalty += firstLetter;
             }
         });
     }
     
+    // Each half reveal is charged once, however many of its words were already showing
+    totalPenalty += (revealedHalves[currentQuestion] || []).length * rules.reveal_half;
+    
     return { hintsUsed, totalPenalty };
 }
 
@@ -836,11 +1552,35 @@ async function showResults() {
     gameComplete = true;
     clearInterval(timerInterval);
     
-    const totalTime = Math.floor((Date.now() - startTime) / 1000);
-    const wrongAnswerPenalty = wrongAnswers * 2;
-    const totalPenalties = wrongAnswerPenalty + hintPenalties;
-    const finalScore = Math.max(0, 100 - totalPenalties);
-    
+    // The server scores the game from the session; local tallies are only a fallback
+    const serverResult = await submitResults();
+    
+    const rules = todaysPuzzle.scoring_rules;
+    const wrongAnswerRate = wordFeedbackMode ? rules.word_feedback_guess : rules.wrong_answer;
+    const wrongAnswerPenalty = serverResult ? serverResult.wrongAnswerPenalty : wrongAnswers * wrongAnswerRate;
+    const hintPenalty = serverResult ? serverResult.hintPenalty : hintPenalties;
+    const totalPenalties = wrongAnswerPenalty + hintPenalty;
+    const totalTime = serverResult ? serverResult.completionTime : Math.floor((Date.now() - startTime) / 1000);
+    const timeBonus = serverResult ? serverResult.timeBonus : (hardMode ? getTimeBonus(totalTime) : 0);
+    
+    const results = {
+        finalScore: serverResult ? serverResult.score : Math.max(0, 100 - totalPenalties) + timeBonus,
+        totalTime,
+        wrongAnswerPenalty,
+        hintPenalty,
+        totalPenalties,
+        timeBonus,
+        wordFeedback: wordFeedbackMode,
+        hardMode,
+        resultId: serverResult ? serverResult.resultId : null
+    };
+    results.stats = updateStats(results.finalScore, serverResult && serverResult.playerStats);
+    
+    saveGameState(results);
+    renderResults(results);
+}
+
+function renderResults(results) {
     // Generate performance grid
     const grid = document.getElementById('performanceGrid');
     grid.innerHTML = '';
@@ -870,73 +1610,160 @@ async function showResults() {
     }
     
     // Display results
-    const minutes = Math.floor(totalTime / 60);
-    const seconds = totalTime % 60;
-    const timeStr = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    
-    document.getElementById('finalScore').textContent = `${finalScore}/100`;
-    document.getElementById('completionTime').textContent = timeStr;
-    document.getElementById('wrongAnswerPenalty').textContent = wrongAnswerPenalty;
-    document.getElementById('hintPenalty').textContent = hintPenalties;
-    document.getElementById('totalPenalties').textContent = totalPenalties;
-    
-    await submitResults(finalScore, totalTime);
-    updateStats(finalScore);
+    document.getElementById('finalScore').textContent = formatScore(results.finalScore, results.hardMode);
+    document.getElementById('completionTime').textContent = formatCompletionTime(results.totalTime);
+    document.getElementById('wrongAnswerLabel').textContent = results.wordFeedback ? 'Word feedback guesses' : 'Wrong answer penalty';
+    document.getElementById('wrongAnswerPenalty').textContent = results.wrongAnswerPenalty;
+    document.getElementById('hintPenalty').textContent = results.hintPenalty;
+    document.getElementById('totalPenalties').textContent = results.totalPenalties;
+    document.getElementById('timeBonusRow').style.display = results.hardMode ? 'block' : 'none';
+    document.getElementById('timeBonus').textContent = results.timeBonus || 0;
+    
+    renderStats(results.stats);
+    
+    // Archive plays aren't ranked, so only today's puzzle has a leaderboard
+    document.getElementById('leaderboard').style.display = 'none';
+    if (!archiveDate) {
+        loadLeaderboard(results);
+    }
     
     document.getElementById('gameScreen').style.display = 'none';
     document.getElementById('resultsScreen').style.display = 'block';
 }
 
-async function submitResults(score, completionTime) {
+function formatCompletionTime(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// Top scores for the mode the player played, plus where their own result placed
+async function loadLeaderboard(results) {
+    const date = todaysPuzzle.date.split('T')[0];
+    const params = new URLSearchParams({ mode: results.hardMode ? 'hard' : 'normal' });
+    if (results.resultId) {
+        params.set('result_id', results.resultId);
+    }
+    
     try {
-        const clueResults = questionHints.map((hints, index) => ({
-            clue_number: index + 1,
-            hints_used: hints
-        }));
+        const response = await authFetch(`${API_BASE}/puzzles/leaderboard/${date}?${params}`);
+        const leaderboard = await response.json();
+        
+        if (leaderboard.error) {
+            console.error('Failed to load the leaderboard:', leaderboard.error);
+            return;
+        }
+        
+        renderLeaderboard(leaderboard);
+    } catch (error) {
+        console.error('Failed to load the leaderboard:', error);
+    }
+}
+
+function renderLeaderboard(leaderboard) {
+    if (!leaderboard.leaderboard.length) return;
+    
+    document.getElementById('leaderboardTitle').textContent = leaderboard.mode === 'hard'
+        ? 'Today\'s Hard Mode Leaderboard 🔥'
+        : 'Today\'s Leaderboard';
+    
+    // Names come from players, so they're set as text rather than HTML
+    const list = document.getElementById('leaderboardList');
+    list.innerHTML = '';
+    leaderboard.leaderboard.forEach(entry => {
+        const row = document.createElement('li');
+        row.className = 'leaderboard-row';
+        if (leaderboard.player && entry.rank === leaderboard.player.rank) {
+            row.classList.add('own-result');
+        }
+        
+        const name = document.createElement('span');
+        name.className = 'leaderboard-name';
+        name.textContent = `${entry.rank}. ${entry.display_name}`;
         
+        const score = document.createElement('span');
+        score.className = 'leaderboard-score';
+        score.textContent = `${entry.score} · ${formatCompletionTime(entry.completion_time)}`;
+        
+        row.append(name, score);
+        list.appendChild(row);
+    });
+    
+    const player = leaderboard.player;
+    document.getElementById('leaderboardPlayer').textContent = player
+        ? `You're #${player.rank} of ${leaderboard.total_players} - ahead of ${player.percentile}% of players`
+        : '';
+    document.getElementById('leaderboard').style.display = 'block';
+}
+
+async function submitResults() {
+    try {
         // Check if running in test mode (via URL parameter or window property)
         const urlParams = new URLSearchParams(window.location.search);
         const isTest = urlParams.has('testMode') || window.isTestMode === true;
         
-        const response = await fetch(`${API_BASE}/puzzles/submit-result`, {
+        const response = await authFetch(`${API_BASE}/puzzles/submit-result`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                score, 
-                completionTime, 
-                hintsUsed: totalHintsUsed, 
-                wrongAnswers,
-                hintBreakdown: { total: hintPenalties, per_clue: questionHints },
-                clueResults,
-                isTest  // NEW: Flag to exclude from stats
+                daily_puzzle_id: todaysPuzzle.id,
+                session_id: sessionId,
+                isTest
             })
         });
         
         const result = await response.json();
         if (result.success) {
-            console.log('Results submitted successfully:', result);
-            if (result.isTest) {
-                console.log('[Test] Test mode: Result not saved to statistics');
-            }
+            return result;
         }
+        console.error('Result not accepted:', result.error);
+        return null;
     } catch (error) {
         console.error('Error submitting results:', error);
+        return null;
     }
 }
 
-function updateStats(score) {
+// Record the finished game in the player's stats and return what the results screen shows
+function updateStats(score, playerStats) {
+    // Logged-in players see their server-side stats from every device
+    if (playerStats && currentPlayer) {
+        currentPlayer.stats = playerStats;
+        return {
+            title: `${currentPlayer.username}'s Stats`,
+            gamesPlayed: playerStats.total_games,
+            currentStreak: playerStats.current_streak,
+            maxStreak: playerStats.best_streak,
+            bestScore: playerStats.best_score || 0,
+            bestHardScore: playerStats.best_hard_score || 0
+        };
+    }
+    
     let stats = {};
     try {
         stats = JSON.parse(localStorage.getItem('beforeAndAftordleStats') || '{}');
     } catch (e) {
-        stats = { gamesPlayed: 0, currentStreak: 0, bestScore: 0 };
+        stats = { gamesPlayed: 0, currentStreak: 0, maxStreak: 0, bestScore: 0, playedDates: [] };
     }
     
+    // Streaks are worked out from the puzzle dates played, so a skipped day breaks them.
+    // Archive plays count as games but can't fill in a missed day
+    stats.playedDates = stats.playedDates || [];
+    if (!archiveDate) {
+        const puzzleDate = todaysPuzzle.date.split('T')[0];
+        if (!stats.playedDates.includes(puzzleDate)) {
+            stats.playedDates.push(puzzleDate);
+        }
+        
+        const streaks = calculateStreaks(stats.playedDates, puzzleDate);
+        stats.currentStreak = streaks.currentStreak;
+        stats.maxStreak = Math.max(stats.maxStreak || 0, streaks.bestStreak);
+    }
     stats.gamesPlayed = (stats.gamesPlayed || 0) + 1;
-    stats.currentStreak = (stats.currentStreak || 0) + 1;
     
-    if (!stats.bestScore || score > stats.bestScore) {
-        stats.bestScore = score;
+    // Hard mode's speed bonus can take a score past 100, so it has its own best score
+    const bestKey = hardMode ? 'bestHardScore' : 'bestScore';
+    if (!stats[bestKey] || score > stats[bestKey]) {
+        stats[bestKey] = score;
     }
     
     try {
@@ -945,9 +1772,30 @@ function updateStats(score) {
         // localStorage not available
     }
     
+    return {
+        title: 'Your Stats',
+        gamesPlayed: stats.gamesPlayed,
+        currentStreak: stats.currentStreak || 0,
+        maxStreak: stats.maxStreak || 0,
+        bestScore: stats.bestScore || 0,
+        bestHardScore: stats.bestHardScore || 0
+    };
+}
+
+function renderStats(stats) {
+    document.getElementById('statsTitle').textContent = stats.title;
     document.getElementById('gamesPlayed').textContent = stats.gamesPlayed;
     document.getElementById('currentStreak').textContent = stats.currentStreak;
-    document.getElementById('bestScore').textContent = `${stats.bestScore}/100`;
+    document.getElementById('maxStreak').textContent = stats.maxStreak;
+    const bestScores = [];
+    if (stats.bestScore || !stats.bestHardScore) bestScores.push(formatScore(stats.bestScore, false));
+    if (stats.bestHardScore) bestScores.push(formatScore(stats.bestHardScore, true));
+    document.getElementById('bestScore').textContent = bestScores.join(' · ');
+}
+
+// Hard mode scores can go over 100 with the speed bonus, so they aren't shown out of 100
+function formatScore(score, isHardMode) {
+    return isHardMode ? `${score} 🔥` : `${score}/100`;
 }
 
 async function shareResults() {
@@ -978,11 +1826,11 @@ async function shareResults() {
     
     // Get puzzle number and score
     const puzzleNumber = getPuzzleNumber(todaysPuzzle.date);
-    const totalPenalties = parseInt(document.getElementById('totalPenalties').textContent);
-    const finalScore = Math.max(0, 100 - totalPenalties);
+    const finalScore = document.getElementById('finalScore').textContent;
+    const badge = hardMode ? ' | 🔥 Hard mode' : '';
     
     // Build share text
-    const shareText = `Phrasey Chain No. ${puzzleNumber} | ${finalScore}/100\n${emojiGrid.join('')}\nhttps://phraseychain.netlify.app`;
+    const shareText = `Phrasey Chain No. ${puzzleNumber} | ${finalScore}${badge}\n${emojiGrid.join('')}\nhttps://phraseychain.netlify.app`;
     
     try {
         // Try native share API (mobile)
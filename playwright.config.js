@@ -1,5 +1,14 @@
 import { defineConfig } from '@playwright/test';
 
+// PLAYWRIGHT_LOCAL=true runs the suite offline against a local backend (in-memory
+// embedded database with seeded puzzles) and the static frontend instead of production
+const LOCAL = !!process.env.PLAYWRIGHT_LOCAL;
+
+if (LOCAL) {
+  process.env.BASE_URL = process.env.BASE_URL || 'http://localhost:8000/';
+  process.env.API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3001/api';
+}
+
 export default defineConfig({
   testDir: './tests/e2e',
   timeout: 30000,
@@ -10,7 +19,7 @@ export default defineConfig({
   reporter: 'html',
   
   use: {
-    baseURL: 'https://phraseychain.netlify.app/',
+    baseURL: process.env.BASE_URL || 'https://phraseychain.netlify.app/',
     trace: 'on-first-retry',
     screenshot: 'only-on-failure',
   },
@@ -21,4 +30,18 @@ export default defineConfig({
       use: { browserName: 'chromium' },
     },
   ],
+
+  webServer: LOCAL ? [
+    {
+      command: 'npm start --prefix backend',
+      url: 'http://localhost:3001/api/health',
+      env: { DB_DRIVER: 'embedded', EMBEDDED_DB_PATH: 'memory://', RATE_LIMIT_MAX: '10000' },
+      reuseExistingServer: !process.env.CI,
+    },
+    {
+      command: 'npm run serve-frontend --prefix backend',
+      url: 'http://localhost:8000/',
+      reuseExistingServer: !process.env.CI,
+    },
+  ] : undefined,
 });
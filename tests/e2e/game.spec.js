@@ -1,17 +1,50 @@
 // Phrasey Chain automated tests using Playwright
 
+import crypto from 'crypto';
 import { test, expect } from '@playwright/test';
 
 // Test config
-const BASE_URL = 'https://phraseychain.netlify.app/';
-const API_BASE_URL = 'https://before-and-aftordle.onrender.com/api';
-const ADMIN_TOKEN = 'admin-token-123';
+const BASE_URL = process.env.BASE_URL || 'https://phraseychain.netlify.app/';
+const API_BASE_URL = process.env.API_BASE_URL || 'https://before-and-aftordle.onrender.com/api';
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+// The backend's JWT secret, for signing tokens it should refuse (a local backend uses its development secret)
+const JWT_SECRET = process.env.JWT_SECRET || (process.env.PLAYWRIGHT_LOCAL ? 'dev-only-insecure-jwt-secret' : null);
+
+// Helper function to log in as admin and get the token pair (a JWT plus its refresh token)
+async function loginAdmin() {
+  const response = await fetch(`${API_BASE_URL}/admin/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to log in as admin: ${response.status}`);
+  }
+  
+  return response.json();
+}
+
+// Helper function to log in as admin and get a JWT for the test API
+async function getAdminToken() {
+  return (await loginAdmin()).token;
+}
+
+// Helper function to sign an access token the way the backend does (HS256 JWT)
+function signAccessToken(payload) {
+  const encode = part => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', JWT_SECRET).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
 
 // Helper function to fetch correct answers from test API
 async function getTestAnswers(puzzleId) {
+  const adminToken = await getAdminToken();
   const response = await fetch(`${API_BASE_URL}/puzzles/${puzzleId}/test-answers`, {
     headers: {
-      'Authorization': `Bearer ${ADMIN_TOKEN}`
+      'Authorization': `Bearer ${adminToken}`
     }
   });
   
@@ -23,6 +56,109 @@ async function getTestAnswers(puzzleId) {
   return data.answers;
 }
 
+// Helper function to call the API directly - returns the status and parsed body
+async function apiRequest(path, { method = 'GET', body, token } = {}) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { 'Authorization': `Bearer ${token}` })
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+// Helper function to start a game session on today's puzzle (or on the puzzle the path points at)
+async function startSession(options = {}, { path = '/puzzles/start-session', token } = {}) {
+  const { status, body } = await apiRequest(path, { method: 'POST', body: options, token });
+  
+  if (status !== 201) {
+    throw new Error(`Failed to start a game session: ${status}`);
+  }
+  
+  return body;
+}
+
+// Helper function to answer every clue of a session correctly
+async function solveSession(session, answers, { path = '/puzzles/validate-clue' } = {}) {
+  for (const { clue_number, answer } of answers) {
+    await apiRequest(path, {
+      method: 'POST',
+      body: { daily_puzzle_id: session.daily_puzzle_id, session_id: session.session_id, clue_number, answer }
+    });
+  }
+}
+
+// Helper function to register a throwaway player account and return its details and token
+async function registerPlayer(prefix = 'e2e') {
+  const username = `${prefix}_${Date.now().toString(36)}${Math.floor(Math.random() * 1000)}`.slice(0, 20);
+  const password = 'e2e-password';
+  const { status, body } = await apiRequest('/players/register', {
+    method: 'POST',
+    body: { username, email: `${username}@example.com`, password }
+  });
+  
+  if (status !== 201) {
+    throw new Error(`Failed to register a player: ${status}`);
+  }
+  
+  return { username, password, token: body.token, player: body.player };
+}
+
+// Helper function to register a player, make them an editor and sign them in to the admin API
+async function registerEditor(adminToken) {
+  const editor = await registerPlayer('editor');
+  await apiRequest(`/admin/team/${editor.username}`, { method: 'PUT', body: { role: 'editor' }, token: adminToken });
+  
+  const login = await apiRequest('/admin/login', {
+    method: 'POST',
+    body: { username: editor.username, password: editor.password }
+  });
+  
+  if (!login.body.token) {
+    throw new Error(`Failed to sign in as an editor: ${login.status}`);
+  }
+  
+  return { ...editor, token: login.body.token };
+}
+
+// Clues for puzzles the tests create (and delete again) through the admin API
+const TEST_CLUES = [
+  { clue: 'Furniture for beverages + Book navigation aid', answer: 'COFFEE TABLE OF CONTENTS', linkingWord: 'TABLE' },
+  { clue: 'Device for pointing and clicking + Device to catch rodents', answer: 'COMPUTER MOUSE TRAP', linkingWord: 'MOUSE' },
+  { clue: 'Dessert made with fruit + Graph split into slices', answer: 'APPLE PIE CHART', linkingWord: 'PIE' }
+];
+
+// Helper function to create a puzzle as admin and take it through review to published
+async function createPublishedPuzzle(adminToken, puzzle) {
+  const created = await apiRequest('/admin/daily-puzzles', { method: 'POST', body: puzzle, token: adminToken });
+  
+  if (!created.body || !created.body.dailyPuzzleId) {
+    throw new Error(`Failed to create a puzzle: ${created.status} ${created.body && created.body.error}`);
+  }
+  
+  for (const status of ['in_review', 'approved', 'published']) {
+    await apiRequest(`/admin/daily-puzzles/${created.body.dailyPuzzleId}/status`, {
+      method: 'PUT',
+      body: { status },
+      token: adminToken
+    });
+  }
+  
+  return created.body.dailyPuzzleId;
+}
+
+// Helper function to delete a puzzle a test created (puzzles with results are deactivated instead)
+async function deletePuzzle(adminToken, dailyPuzzleId) {
+  const { status, body } = await apiRequest(`/admin/daily-puzzles/${dailyPuzzleId}`, { method: 'DELETE', token: adminToken });
+  
+  if (status !== 200) {
+    throw new Error(`Failed to delete puzzle ${dailyPuzzleId}: ${status} ${body && body.error}`);
+  }
+}
+
 // ============================================================================
 // SMOKE TEST - Validate critical path first!
 // ============================================================================
@@ -631,3 +767,1150 @@ test.describe('Phrasey Chain - Correct Answer Submission (Using Test API)', () =
     console.log('✅ Perfect game completed successfully!');
   });
 });
+
+// ============================================================================
+// API TESTS - server-side behaviour, no browser needed
+// ============================================================================
+test.describe('Phrasey Chain - Admin Auth', () => {
+  
+  test('should rotate the refresh token on every refresh', async () => {
+    const { refreshToken } = await loginAdmin();
+    
+    const refreshed = await apiRequest('/admin/refresh', { method: 'POST', body: { refreshToken } });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refreshToken).not.toBe(refreshToken);
+    expect((await apiRequest('/admin/dashboard', { token: refreshed.body.token })).status).toBe(200);
+    
+    // The old refresh token was used up; the new one still works
+    const reused = await apiRequest('/admin/refresh', { method: 'POST', body: { refreshToken } });
+    expect(reused.status).toBe(401);
+    
+    const next = await apiRequest('/admin/refresh', { method: 'POST', body: { refreshToken: refreshed.body.refreshToken } });
+    expect(next.status).toBe(200);
+  });
+
+  test('should revoke the refresh token on logout', async () => {
+    const { refreshToken } = await loginAdmin();
+    
+    const logout = await apiRequest('/admin/logout', { method: 'POST', body: { refreshToken } });
+    expect(logout.status).toBe(200);
+    
+    const refreshed = await apiRequest('/admin/refresh', { method: 'POST', body: { refreshToken } });
+    expect(refreshed.status).toBe(401);
+  });
+
+  test('should reject missing and tampered access tokens', async () => {
+    const { token } = await loginAdmin();
+    
+    expect((await apiRequest('/admin/dashboard')).status).toBe(401);
+    
+    // Rewriting the claims leaves the signature matching the old ones
+    const [header, payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, exp: claims.exp + 24 * 60 * 60 })).toString('base64url');
+    
+    const tampered = await apiRequest('/admin/dashboard', { token: `${header}.${forged}.${signature}` });
+    expect(tampered.status).toBe(401);
+    expect(tampered.body.error).toBe('Invalid token');
+  });
+
+  test('should reject expired access tokens', async () => {
+    test.skip(!JWT_SECRET, 'Signing an expired token needs the backend JWT secret');
+    
+    const { token } = await loginAdmin();
+    const claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+    const now = Math.floor(Date.now() / 1000);
+    
+    const expired = await apiRequest('/admin/dashboard', {
+      token: signAccessToken({ ...claims, iat: now - 2 * 60 * 60, exp: now - 60 * 60 })
+    });
+    expect(expired.status).toBe(401);
+    expect(expired.body.error).toBe('Token expired');
+  });
+
+  test('should refuse player tokens on admin routes', async () => {
+    const player = await registerPlayer();
+    
+    expect((await apiRequest('/admin/dashboard', { token: player.token })).status).toBe(403);
+    expect((await apiRequest('/admin/daily-puzzles', { token: player.token })).status).toBe(403);
+    
+    const created = await apiRequest('/admin/daily-puzzles', {
+      method: 'POST',
+      body: { date: '2001-01-06', clues: TEST_CLUES },
+      token: player.token
+    });
+    expect(created.status).toBe(403);
+    
+    // Nor can a player's refresh token be exchanged for admin access
+    const login = await apiRequest('/players/login', {
+      method: 'POST',
+      body: { username: player.username, password: player.password }
+    });
+    const refreshed = await apiRequest('/admin/refresh', { method: 'POST', body: { refreshToken: login.body.refreshToken } });
+    expect(refreshed.status).toBe(401);
+  });
+});
+
+test.describe('Phrasey Chain - Game Sessions', () => {
+  
+  test('should not grade answers without a game session', async () => {
+    const today = (await apiRequest('/puzzles/today')).body;
+    const answers = await getTestAnswers(today.id);
+    
+    const clueCheck = await apiRequest('/puzzles/validate-clue', {
+      method: 'POST',
+      body: { daily_puzzle_id: today.id, clue_number: 1, answer: answers[0].answer }
+    });
+    expect(clueCheck.status).toBe(400);
+    expect(clueCheck.body.full_answer).toBeUndefined();
+    
+    const allCheck = await apiRequest('/puzzles/validate-all', {
+      method: 'POST',
+      body: { daily_puzzle_id: today.id, answers: answers.map(a => a.answer) }
+    });
+    expect(allCheck.status).toBe(400);
+    expect(allCheck.body.results).toBeUndefined();
+  });
+
+  test('should not give out the word structure without a game session', async () => {
+    const today = (await apiRequest('/puzzles/today')).body;
+    
+    const hint = await apiRequest('/puzzles/get-hint', {
+      method: 'POST',
+      body: { daily_puzzle_id: today.id, clue_number: 1 }
+    });
+    expect(hint.status).toBe(400);
+    expect(hint.body.word_structure).toBeUndefined();
+    
+    const state = await apiRequest('/puzzles/get-hint-state', {
+      method: 'POST',
+      body: { daily_puzzle_id: today.id, clue_number: 1 }
+    });
+    expect(state.status).toBe(400);
+    expect(state.body.word_structure).toBeUndefined();
+  });
+
+  test('should charge every guess made in the session towards the result', async () => {
+    const today = (await apiRequest('/puzzles/today')).body;
+    const answers = await getTestAnswers(today.id);
+    const session = await startSession();
+    
+    // A probing guess inside the session is recorded, so the result can't come out clean
+    const probe = await apiRequest('/puzzles/validate-clue', {
+      method: 'POST',
+      body: { daily_puzzle_id: today.id, session_id: session.session_id, clue_number: 1, answer: 'NOT THE ANSWER AT ALL' }
+    });
+    expect(probe.body.correct).toBe(false);
+    
+    await solveSession(session, answers);
+    
+    const result = await apiRequest('/puzzles/submit-result', {
+      method: 'POST',
+      body: { daily_puzzle_id: today.id, session_id: session.session_id, isTest: true }
+    });
+    expect(result.body.wrongAnswers).toBe(1);
+    expect(result.body.score).toBeLessThan(100);
+  });
+
+  test('should close a test session so it cannot be submitted again', async () => {
+    const today = (await apiRequest('/puzzles/today')).body;
+    const answers = await getTestAnswers(today.id);
+    const session = await startSession();
+    await solveSession(session, answers);
+    
+    const testResult = await apiRequest('/puzzles/submit-result', {
+      method: 'POST',
+      body: { daily_puzzle_id: today.id, session_id: session.session_id, isTest: true }
+    });
+    expect(testResult.body.isTest).toBe(true);
+    
+    const resubmit = await apiRequest('/puzzles/submit-result', {
+      method: 'POST',
+      body: { daily_puzzle_id: today.id, session_id: session.session_id, isTest: false }
+    });
+    expect(resubmit.status).toBe(404);
+  });
+});
+
+test.describe('Phrasey Chain - Player Accounts', () => {
+  
+  test('should keep a player\'s stats on their account across sign-ins', async () => {
+    const today = (await apiRequest('/puzzles/today')).body;
+    const answers = await getTestAnswers(today.id);
+    const player = await registerPlayer();
+    expect(player.player.stats.total_games).toBe(0);
+    
+    const duplicate = await apiRequest('/players/register', {
+      method: 'POST',
+      body: { username: player.username, email: `other_${player.username}@example.com`, password: player.password }
+    });
+    expect(duplicate.status).toBe(409);
+    
+    const session = await startSession({}, { token: player.token });
+    await solveSession(session, answers);
+    const result = await apiRequest('/puzzles/submit-result', {
+      method: 'POST',
+      body: { daily_puzzle_id: today.id, session_id: session.session_id }
+    });
+    expect(result.body.playerStats.total_games).toBe(1);
+    
+    // Signing in again (as if on another device) brings the same stats back
+    const login = await apiRequest('/players/login', {
+      method: 'POST',
+      body: { username: player.username, password: player.password }
+    });
+    expect(login.body.player.stats.total_games).toBe(1);
+    expect(login.body.player.stats.best_score).toBe(result.body.score);
+    
+    // One result per puzzle per player
+    const replay = await startSession({}, { token: login.body.token });
+    await solveSession(replay, answers);
+    const second = await apiRequest('/puzzles/submit-result', {
+      method: 'POST',
+      body: { daily_puzzle_id: today.id, session_id: replay.session_id }
+    });
+    expect(second.status).toBe(409);
+  });
+});
+
+test.describe('Phrasey Chain - Streaks', () => {
+  
+  test('should count a streak from the puzzle dates played, not from archive plays', async () => {
+    const today = (await apiRequest('/puzzles/today')).body;
+    const archive = (await apiRequest('/puzzles/archive')).body;
+    const yesterday = archive[0].date.split('T')[0];
+    const player = await registerPlayer('streak');
+    
+    const session = await startSession({}, { token: player.token });
+    await solveSession(session, await getTestAnswers(today.id));
+    const todayResult = await apiRequest('/puzzles/submit-result', {
+      method: 'POST',
+      body: { daily_puzzle_id: today.id, session_id: session.session_id }
+    });
+    expect(todayResult.body.playerStats.current_streak).toBe(1);
+    
+    // Catching up on yesterday from the archive counts as a game but doesn't extend the streak
+    const archiveSession = await startSession({}, { path: `/puzzles/archive/${yesterday}/start-session`, token: player.token });
+    expect(archiveSession.is_archive).toBe(true);
+    await solveSession(archiveSession, await getTestAnswers(archiveSession.daily_puzzle_id));
+    const archiveResult = await apiRequest('/puzzles/submit-result', {
+      method: 'POST',
+      body: { daily_puzzle_id: archiveSession.daily_puzzle_id, session_id: archiveSession.session_id }
+    });
+    expect(archiveResult.body.playerStats.total_games).toBe(2);
+    expect(archiveResult.body.playerStats.current_streak).toBe(1);
+    expect(archiveResult.body.playerStats.best_streak).toBe(1);
+    
+    const me = await apiRequest('/players/me', { token: player.token });
+    expect(me.body.stats.current_streak).toBe(1);
+  });
+});
+
+test.describe('Phrasey Chain - Saved Game State', () => {
+  
+  test('should pick up an in-progress game after a page reload', async ({ page }) => {
+    const apiPromise = page.waitForResponse(
+      response => response.url().includes('/puzzles/today') && response.status() === 200,
+      { timeout: 15000 }
+    );
+    
+    await page.goto(`${BASE_URL}?testMode=true`);
+    const puzzleData = await (await apiPromise).json();
+    const totalClues = puzzleData.clues.length;
+    const correctAnswers = await getTestAnswers(puzzleData.id);
+    
+    await page.locator('.start-btn').click();
+    await page.locator('#answerInput').fill(correctAnswers.find(a => a.clue_number === 1).answer);
+    await page.locator('#answerInput').press('Enter');
+    await expect(page.locator('#questionNumber')).toContainText(`Question 2 of ${totalClues}`, { timeout: 5000 });
+    
+    await page.reload();
+    
+    // Straight back into the game on the same question, without the intro screen
+    await expect(page.locator('#introScreen')).toBeHidden();
+    await expect(page.locator('#gameScreen')).toBeVisible();
+    await expect(page.locator('#questionNumber')).toContainText(`Question 2 of ${totalClues}`);
+  });
+});
+
+test.describe('Phrasey Chain - Archive', () => {
+  
+  test('should list and serve past puzzles without answers, and nothing from today on', async () => {
+    const today = (await apiRequest('/puzzles/today')).body;
+    const todayDate = today.date.split('T')[0];
+    const archive = (await apiRequest('/puzzles/archive')).body;
+    
+    expect(archive.length).toBeGreaterThan(0);
+    archive.forEach(puzzle => {
+      expect(puzzle.date.split('T')[0] < todayDate).toBe(true);
+      expect(puzzle.clues).toBeUndefined();
+    });
+    
+    const pastDate = archive[0].date.split('T')[0];
+    const past = await apiRequest(`/puzzles/archive/${pastDate}`);
+    expect(past.status).toBe(200);
+    expect(past.body.clues.length).toBe(archive[0].total_clues);
+    past.body.clues.forEach(clue => expect(clue.answer).toBeUndefined());
+    
+    const tomorrow = new Date(`${todayDate}T12:00:00Z`);
+    tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+    expect((await apiRequest(`/puzzles/archive/${tomorrow.toISOString().slice(0, 10)}`)).status).toBe(404);
+    expect((await apiRequest(`/puzzles/archive/${todayDate}`)).status).toBe(404);
+  });
+
+  test('should play a past puzzle without counting it towards that day\'s stats', async () => {
+    const archive = (await apiRequest('/puzzles/archive')).body;
+    const pastDate = archive[0].date.split('T')[0];
+    const playsBefore = (await apiRequest(`/puzzles/archive/${pastDate}`)).body.plays;
+    
+    const session = await startSession({}, { path: `/puzzles/archive/${pastDate}/start-session` });
+    expect(session.is_archive).toBe(true);
+    
+    await solveSession(session, await getTestAnswers(session.daily_puzzle_id), {
+      path: `/puzzles/archive/${pastDate}/validate-clue`
+    });
+    const result = await apiRequest('/puzzles/submit-result', {
+      method: 'POST',
+      body: { daily_puzzle_id: session.daily_puzzle_id, session_id: session.session_id }
+    });
+    expect(result.body.success).toBe(true);
+    
+    expect((await apiRequest(`/puzzles/archive/${pastDate}`)).body.plays).toBe(playsBefore);
+  });
+
+  test('should delete a puzzle that only has unfinished sessions', async () => {
+    const adminToken = await getAdminToken();
+    const date = '2001-01-07';
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, { date, clues: TEST_CLUES });
+    await startSession({}, { path: `/puzzles/archive/${date}/start-session` });
+    
+    await deletePuzzle(adminToken, dailyPuzzleId);
+    expect((await apiRequest(`/puzzles/archive/${date}`)).status).toBe(404);
+  });
+});
+
+test.describe('Phrasey Chain - Puzzle-Scoped Gameplay', () => {
+  
+  test('should keep a game on the puzzle it was started for', async () => {
+    const today = (await apiRequest('/puzzles/today')).body;
+    const archive = (await apiRequest('/puzzles/archive')).body;
+    const yesterday = archive[0];
+    
+    // A game loaded before midnight still plays yesterday's puzzle after it
+    const lateSession = await startSession({ daily_puzzle_id: yesterday.id });
+    expect(lateSession.daily_puzzle_id).toBe(yesterday.id);
+    
+    const answers = await getTestAnswers(yesterday.id);
+    const check = await apiRequest('/puzzles/validate-clue', {
+      method: 'POST',
+      body: { daily_puzzle_id: yesterday.id, session_id: lateSession.session_id, clue_number: 1, answer: answers[0].answer }
+    });
+    expect(check.body.correct).toBe(true);
+    expect(check.body.daily_puzzle_id).toBe(yesterday.id);
+    
+    // ...and can't be pointed at another puzzle part-way through
+    const switched = await apiRequest('/puzzles/validate-clue', {
+      method: 'POST',
+      body: { daily_puzzle_id: today.id, session_id: lateSession.session_id, clue_number: 2, answer: answers[1].answer }
+    });
+    expect(switched.status).toBe(400);
+  });
+
+  test('should not start a game on a future puzzle by id', async () => {
+    const adminToken = await getAdminToken();
+    const today = (await apiRequest('/puzzles/today')).body;
+    const puzzles = (await apiRequest('/admin/daily-puzzles', { token: adminToken })).body;
+    const future = puzzles.find(puzzle => puzzle.date && puzzle.date > today.date);
+    test.skip(!future, 'No future puzzle scheduled');
+    
+    const response = await apiRequest('/puzzles/start-session', {
+      method: 'POST',
+      body: { daily_puzzle_id: future.id }
+    });
+    expect(response.status).toBe(404);
+  });
+});
+
+test.describe('Phrasey Chain - Per-Puzzle Scoring Rules', () => {
+  
+  test('should charge a puzzle\'s own penalties instead of the defaults', async () => {
+    const adminToken = await getAdminToken();
+    const date = '2001-01-08';
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, {
+      date,
+      clues: TEST_CLUES,
+      scoringRules: { wrong_answer: 20, structure_hint: 1 }
+    });
+    
+    try {
+      const puzzle = (await apiRequest(`/puzzles/archive/${date}`)).body;
+      expect(puzzle.scoring_rules.wrong_answer).toBe(20);
+      expect(puzzle.scoring_rules.structure_hint).toBe(1);
+      
+      const session = await startSession({}, { path: `/puzzles/archive/${date}/start-session` });
+      const wrong = await apiRequest('/puzzles/validate-clue', {
+        method: 'POST',
+        body: { session_id: session.session_id, clue_number: 1, answer: 'KITCHEN TABLE' }
+      });
+      expect(wrong.body.penalty).toBe(20);
+      
+      const structure = await apiRequest('/puzzles/get-hint', {
+        method: 'POST',
+        body: { session_id: session.session_id, clue_number: 2, hint_type: 'structure' }
+      });
+      expect(structure.body.penalty).toBe(1);
+      
+      await solveSession(session, await getTestAnswers(dailyPuzzleId));
+      const result = await apiRequest('/puzzles/submit-result', {
+        method: 'POST',
+        body: { session_id: session.session_id, isTest: true }
+      });
+      expect(result.body.score).toBe(79);
+    } finally {
+      await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+
+  test('should reject unknown or out-of-range scoring rules', async () => {
+    const adminToken = await getAdminToken();
+    
+    for (const scoringRules of [{ wrong_answr: 5 }, { wrong_answer: 101 }]) {
+      const response = await apiRequest('/admin/daily-puzzles', {
+        method: 'POST',
+        body: { date: '2001-01-09', clues: TEST_CLUES, scoringRules },
+        token: adminToken
+      });
+      expect(response.status).toBe(400);
+    }
+  });
+});
+
+test.describe('Phrasey Chain - Variable Clue Count', () => {
+  
+  test('should serve and score a puzzle with fewer than five clues', async () => {
+    const adminToken = await getAdminToken();
+    const date = '2001-01-10';
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, { date, clues: TEST_CLUES });
+    
+    try {
+      const puzzle = (await apiRequest(`/puzzles/archive/${date}`)).body;
+      expect(puzzle.total_clues).toBe(3);
+      expect(puzzle.clues).toHaveLength(3);
+      
+      // Every clue has to be solved, however many there are
+      const session = await startSession({}, { path: `/puzzles/archive/${date}/start-session` });
+      const answers = await getTestAnswers(dailyPuzzleId);
+      await solveSession(session, answers.slice(0, 2));
+      const early = await apiRequest('/puzzles/submit-result', {
+        method: 'POST',
+        body: { session_id: session.session_id, isTest: true }
+      });
+      expect(early.status).toBe(400);
+      
+      await solveSession(session, answers.slice(2));
+      const result = await apiRequest('/puzzles/submit-result', {
+        method: 'POST',
+        body: { session_id: session.session_id, isTest: true }
+      });
+      expect(result.body.score).toBe(100);
+    } finally {
+      await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+
+  test('should only accept puzzles with three to ten clues', async () => {
+    const adminToken = await getAdminToken();
+    
+    for (const clues of [TEST_CLUES.slice(0, 2), Array.from({ length: 11 }, () => TEST_CLUES[0])]) {
+      const response = await apiRequest('/admin/daily-puzzles', {
+        method: 'POST',
+        body: { date: '2001-01-11', clues },
+        token: adminToken
+      });
+      expect(response.status).toBe(400);
+    }
+  });
+});
+
+test.describe('Phrasey Chain - Backend Setup', () => {
+  
+  test('should come up with a playable puzzle, an archive and an admin account', async () => {
+    const health = await apiRequest('/health');
+    expect(health.body.status).toBe('OK');
+    
+    const today = await apiRequest('/puzzles/today');
+    expect(today.status).toBe(200);
+    expect(today.body.clues.length).toBeGreaterThan(0);
+    
+    expect((await apiRequest('/puzzles/archive')).body.length).toBeGreaterThan(0);
+    expect(await getAdminToken()).toBeTruthy();
+  });
+});
+
+test.describe('Phrasey Chain - Schema Migrations', () => {
+  
+  test('should not expose database initialization over the API', async () => {
+    expect((await apiRequest('/init-database')).status).toBe(404);
+    expect((await apiRequest('/init-database', { method: 'POST' })).status).toBe(404);
+  });
+});
+
+test.describe('Phrasey Chain - Legacy Puzzle Migration', () => {
+  
+  test('should plan legacy migrations as drafts unless an admin picks a status', async () => {
+    const adminToken = await getAdminToken();
+    
+    const dryRun = await apiRequest('/admin/puzzles/migrate', { method: 'POST', body: { dryRun: true }, token: adminToken });
+    expect(dryRun.status).toBe(200);
+    expect(dryRun.body.dryRun).toBe(true);
+    expect(dryRun.body.status).toBe('draft');
+    
+    const published = await apiRequest('/admin/puzzles/migrate', {
+      method: 'POST',
+      body: { dryRun: true, status: 'published' },
+      token: adminToken
+    });
+    expect(published.body.status).toBe('published');
+    
+    const invalid = await apiRequest('/admin/puzzles/migrate', {
+      method: 'POST',
+      body: { dryRun: true, status: 'live' },
+      token: adminToken
+    });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('should only let admins migrate legacy puzzles', async () => {
+    const { token: editorToken } = await registerEditor(await getAdminToken());
+    
+    const response = await apiRequest('/admin/puzzles/migrate', { method: 'POST', body: { dryRun: true }, token: editorToken });
+    expect(response.status).toBe(403);
+  });
+});
+
+test.describe('Phrasey Chain - Answer Grading', () => {
+  
+  test('should grade near-misses as close for free and accept alternate answers', async () => {
+    const adminToken = await getAdminToken();
+    const date = '2001-01-12';
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, {
+      date,
+      clues: [{ ...TEST_CLUES[0], alternates: ['COFFEE TABLE CONTENTS'] }, ...TEST_CLUES.slice(1)]
+    });
+    
+    try {
+      const session = await startSession({}, { path: `/puzzles/archive/${date}/start-session` });
+      const guess = async (clue_number, answer) => (await apiRequest('/puzzles/validate-clue', {
+        method: 'POST',
+        body: { session_id: session.session_id, clue_number, answer }
+      })).body;
+      
+      const typo = await guess(2, 'COMPUTER MOUSE TRAPP');
+      expect(typo.correct).toBe(false);
+      expect(typo.feedback).toBe('close');
+      expect(typo.penalty).toBe(0);
+      
+      const linking = await guess(2, 'COMPUTER MOUSE HOLE');
+      expect(linking.feedback).toBe('linking_word');
+      expect(linking.penalty).toBe(2);
+      
+      const alternate = await guess(1, 'Coffee Table Contents');
+      expect(alternate.correct).toBe(true);
+      
+      // Only the linking word guess costs anything
+      await solveSession(session, (await getTestAnswers(dailyPuzzleId)).slice(1));
+      const result = await apiRequest('/puzzles/submit-result', {
+        method: 'POST',
+        body: { session_id: session.session_id, isTest: true }
+      });
+      expect(result.body.score).toBe(98);
+    } finally {
+      await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+});
+
+test.describe('Phrasey Chain - Word Feedback', () => {
+  
+  test('should mark each guessed word and charge the word feedback rate', async () => {
+    const adminToken = await getAdminToken();
+    const date = '2001-01-13';
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, { date, clues: TEST_CLUES });
+    
+    try {
+      const path = `/puzzles/archive/${date}/start-session`;
+      const session = await startSession({ word_feedback: true }, { path });
+      expect(session.word_feedback).toBe(true);
+      
+      const wrong = (await apiRequest('/puzzles/validate-clue', {
+        method: 'POST',
+        body: { session_id: session.session_id, clue_number: 2, answer: 'TRAP MOUSE PAD' }
+      })).body;
+      expect(wrong.penalty).toBe(4);
+      expect(wrong.word_feedback.map(result => result.status)).toEqual(['present', 'correct', 'absent']);
+      
+      // Correct words are locked into the clue's hint state
+      const state = (await apiRequest('/puzzles/get-hint-state', {
+        method: 'POST',
+        body: { session_id: session.session_id, clue_number: 2 }
+      })).body;
+      expect(state.word_structure[1].state).toBe('locked');
+      
+      // Regular sessions get no per-word feedback
+      const regular = await startSession({}, { path });
+      const plain = (await apiRequest('/puzzles/validate-clue', {
+        method: 'POST',
+        body: { session_id: regular.session_id, clue_number: 2, answer: 'TRAP MOUSE PAD' }
+      })).body;
+      expect(plain.penalty).toBe(2);
+      expect(plain.word_feedback).toBeUndefined();
+    } finally {
+      await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+});
+
+test.describe('Phrasey Chain - Linking Phrases', () => {
+  
+  test('should treat a multi-word linking phrase as one span', async () => {
+    const adminToken = await getAdminToken();
+    const date = '2001-01-14';
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, {
+      date,
+      clues: [
+        TEST_CLUES[0],
+        { clue: 'Plain frozen treat + Waffle holder', answer: 'VANILLA ICE CREAM CONE', linkingWord: 'ICE CREAM' },
+        TEST_CLUES[2]
+      ]
+    });
+    
+    try {
+      const session = await startSession({}, { path: `/puzzles/archive/${date}/start-session` });
+      
+      const structure = (await apiRequest('/puzzles/get-hint', {
+        method: 'POST',
+        body: { session_id: session.session_id, clue_number: 2, hint_type: 'structure' }
+      })).body;
+      expect(structure.word_structure.map(word => word.is_linking)).toEqual([false, true, true, false]);
+      
+      const correct = (await apiRequest('/puzzles/validate-clue', {
+        method: 'POST',
+        body: { session_id: session.session_id, clue_number: 2, answer: 'VANILLA ICE CREAM CONE' }
+      })).body;
+      expect(correct.linking_word).toBe('ICE CREAM');
+      expect(correct.link_start).toBe(1);
+      expect(correct.link_end).toBe(2);
+    } finally {
+      await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+
+  test('should find a linking word that also appears earlier in the answer', async () => {
+    const adminToken = await getAdminToken();
+    const date = '2001-01-15';
+    const repeated = { clue: 'Again and again + Region on the same clock', answer: 'TIME AFTER TIME ZONE', linkingWord: 'TIME' };
+    
+    // The first TIME has nothing before it, so it can't be the link
+    const misplaced = await apiRequest('/admin/daily-puzzles', {
+      method: 'POST',
+      body: { date, clues: [TEST_CLUES[0], { ...repeated, linkStart: 0 }, TEST_CLUES[2]] },
+      token: adminToken
+    });
+    expect(misplaced.status).toBe(400);
+    
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, { date, clues: [TEST_CLUES[0], repeated, TEST_CLUES[2]] });
+    
+    try {
+      const session = await startSession({}, { path: `/puzzles/archive/${date}/start-session` });
+      const correct = (await apiRequest('/puzzles/validate-clue', {
+        method: 'POST',
+        body: { session_id: session.session_id, clue_number: 2, answer: 'TIME AFTER TIME ZONE' }
+      })).body;
+      expect(correct.link_start).toBe(2);
+      expect(correct.link_end).toBe(2);
+    } finally {
+      await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+});
+
+test.describe('Phrasey Chain - Clue Halves', () => {
+  
+  test('should store each clue\'s before and after halves', async () => {
+    const adminToken = await getAdminToken();
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, {
+      date: '2001-01-16',
+      clues: [
+        TEST_CLUES[0],
+        { ...TEST_CLUES[1], beforeClue: 'It points and clicks', afterClue: 'It catches rodents', beforePhrase: 'computer mouse' },
+        TEST_CLUES[2]
+      ]
+    });
+    
+    try {
+      const puzzles = (await apiRequest('/admin/daily-puzzles', { token: adminToken })).body;
+      const [split, structured] = puzzles.find(puzzle => puzzle.id === dailyPuzzleId).clues;
+      
+      // Halves default to the clue text split on " + " and the answer split on the linking word
+      expect(split.before_clue).toBe('Furniture for beverages');
+      expect(split.after_clue).toBe('Book navigation aid');
+      expect(split.before_phrase).toBe('COFFEE TABLE');
+      expect(split.after_phrase).toBe('TABLE OF CONTENTS');
+      
+      expect(structured.before_clue).toBe('It points and clicks');
+      expect(structured.after_clue).toBe('It catches rodents');
+      expect(structured.before_phrase).toBe('COMPUTER MOUSE');
+      expect(structured.after_phrase).toBe('MOUSE TRAP');
+    } finally {
+      await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+
+  test('should reject phrases that don\'t meet at the linking word', async () => {
+    const adminToken = await getAdminToken();
+    
+    for (const halves of [{ beforePhrase: 'COMPUTER' }, { afterPhrase: 'MOUSE PAD' }, { beforeClue: 'It points and clicks' }]) {
+      const response = await apiRequest('/admin/daily-puzzles', {
+        method: 'POST',
+        body: { date: '2001-01-17', clues: [TEST_CLUES[0], { ...TEST_CLUES[1], ...halves }, TEST_CLUES[2]] },
+        token: adminToken
+      });
+      expect(response.status).toBe(400);
+    }
+  });
+});
+
+test.describe('Phrasey Chain - Half Reveals', () => {
+  
+  test('should leave the linking word covered until every other word is revealed', async () => {
+    const adminToken = await getAdminToken();
+    const date = '2001-01-18';
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, { date, clues: TEST_CLUES });
+    
+    try {
+      const session = await startSession({}, { path: `/puzzles/archive/${date}/start-session` });
+      const hint = (body) => apiRequest('/puzzles/get-hint', {
+        method: 'POST',
+        body: { session_id: session.session_id, clue_number: 2, ...body }
+      });
+      await hint({ hint_type: 'structure' });
+      
+      // COMPUTER MOUSE TRAP - the before half uncovers COMPUTER but not MOUSE
+      const before = await hint({ hint_type: 'reveal_half', half: 'before' });
+      expect(before.body.revealed_words.map(word => word.word)).toEqual(['COMPUTER']);
+      expect(before.body.word_structure[1].state).toBe('empty');
+      expect(before.body.word_structure[1].letters).not.toContain('M');
+      
+      // Each half is only revealed once, even after the linking word unlocks
+      const after = await hint({ hint_type: 'reveal_half', half: 'after' });
+      expect(after.body.revealed_words.map(word => word.word)).toEqual(['TRAP']);
+      expect(after.body.word_structure[1].clickable).toBe(true);
+      expect((await hint({ hint_type: 'reveal_half', half: 'before' })).status).toBe(400);
+      
+      const linking = await hint({ hint_type: 'full_word', word_index: 1 });
+      expect(linking.body.revealed_word.word).toBe('MOUSE');
+    } finally {
+      await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+});
+
+test.describe('Phrasey Chain - Server Hint State', () => {
+  
+  test('should keep each session\'s revealed letters and enforce the unlock rules', async () => {
+    const adminToken = await getAdminToken();
+    const date = '2001-01-19';
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, { date, clues: TEST_CLUES });
+    
+    try {
+      const session = await startSession({}, { path: `/puzzles/archive/${date}/start-session` });
+      const hint = (body) => apiRequest('/puzzles/get-hint', {
+        method: 'POST',
+        body: { session_id: session.session_id, clue_number: 2, ...body }
+      });
+      
+      expect((await hint({ hint_type: 'first_letter', word_index: 0 })).status).toBe(400);
+      await hint({ hint_type: 'structure' });
+      await hint({ hint_type: 'first_letter', word_index: 0 });
+      await hint({ hint_type: 'full_word', word_index: 2 });
+      
+      // The linking word can't be hinted while COMPUTER is still hidden
+      const linking = await hint({ hint_type: 'full_word', word_index: 1 });
+      expect(linking.status).toBe(400);
+      
+      const state = (await apiRequest('/puzzles/get-hint-state', {
+        method: 'POST',
+        body: { session_id: session.session_id, clue_number: 2 }
+      })).body;
+      expect(state.structure_revealed).toBe(true);
+      expect(state.linking_available).toBe(false);
+      expect(state.word_structure.map(word => word.letters.join(''))).toEqual(['C_______', '_____', 'TRAP']);
+      
+      // Another player's session starts from a clean slate
+      const other = await startSession({}, { path: `/puzzles/archive/${date}/start-session` });
+      const fresh = (await apiRequest('/puzzles/get-hint-state', {
+        method: 'POST',
+        body: { session_id: other.session_id, clue_number: 2 }
+      })).body;
+      expect(fresh.structure_revealed).toBe(false);
+      expect(fresh.word_structure.every(word => word.state === 'empty')).toBe(true);
+    } finally {
+      await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+});
+
+test.describe('Phrasey Chain - Hard Mode', () => {
+  
+  test('should turn off hints and add a time bonus on its own leaderboard', async () => {
+    const today = (await apiRequest('/puzzles/today')).body;
+    const { username, token } = await registerPlayer('hard');
+    const session = await startSession({ mode: 'hard' }, { token });
+    expect(session.mode).toBe('hard');
+    
+    const hint = await apiRequest('/puzzles/get-hint', {
+      method: 'POST',
+      body: { session_id: session.session_id, clue_number: 1, hint_type: 'structure' }
+    });
+    expect(hint.status).toBe(400);
+    
+    await solveSession(session, await getTestAnswers(today.id));
+    const result = (await apiRequest('/puzzles/submit-result', {
+      method: 'POST',
+      body: { session_id: session.session_id },
+      token
+    })).body;
+    expect(result.timeBonus).toBeGreaterThan(0);
+    expect(result.score).toBe(100 + result.timeBonus);
+    expect(result.playerStats.best_hard_score).toBe(result.score);
+    expect(result.playerStats.best_score).toBeNull();
+    
+    // Hard mode results are ranked apart from the day's normal mode stats
+    const stats = (await apiRequest(`/puzzles/stats/${today.date.split('T')[0]}`)).body;
+    expect(stats.hard_mode.leaderboard.map(entry => entry.display_name)).toContain(username);
+    expect(Number(stats.max_score || 0)).toBeLessThanOrEqual(100);
+  });
+});
+
+test.describe('Phrasey Chain - Daily Leaderboard', () => {
+  
+  test('should rank the day\'s results and place the player in them', async () => {
+    const today = (await apiRequest('/puzzles/today')).body;
+    const todayDate = today.date.split('T')[0];
+    const answers = await getTestAnswers(today.id);
+    
+    // One anonymous result and one from a logged-in player
+    const anonymous = await startSession();
+    await solveSession(anonymous, answers);
+    const anonymousResult = (await apiRequest('/puzzles/submit-result', {
+      method: 'POST',
+      body: { session_id: anonymous.session_id }
+    })).body;
+    
+    const { username, token } = await registerPlayer('ranked');
+    const ranked = await startSession({}, { token });
+    await solveSession(ranked, answers);
+    await apiRequest('/puzzles/submit-result', { method: 'POST', body: { session_id: ranked.session_id }, token });
+    
+    const board = (await apiRequest(`/puzzles/leaderboard/${todayDate}?limit=100&result_id=${anonymousResult.resultId}`)).body;
+    const scores = board.leaderboard.map(entry => entry.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    expect(board.player.is_anonymous).toBe(true);
+    expect(board.player.display_name).toMatch(/^\w+ \w+$/);
+    expect(board.player.percentile).toBeGreaterThanOrEqual(0);
+    expect(board.player.percentile).toBeLessThanOrEqual(100);
+    
+    const own = (await apiRequest(`/puzzles/leaderboard/${todayDate}`, { token })).body;
+    expect(own.player.display_name).toBe(username);
+    expect(own.leaderboard.length).toBeLessThanOrEqual(10);
+  });
+
+  test('should reject a bad date, mode or limit', async () => {
+    expect((await apiRequest('/puzzles/leaderboard/today')).status).toBe(400);
+    expect((await apiRequest('/puzzles/leaderboard/2001-01-01?mode=easy')).status).toBe(400);
+    expect((await apiRequest('/puzzles/leaderboard/2001-01-01?limit=0')).status).toBe(400);
+  });
+});
+
+test.describe('Phrasey Chain - Puzzle Analytics', () => {
+  
+  test('should break a puzzle\'s results down per clue', async () => {
+    const adminToken = await getAdminToken();
+    const date = '2001-01-20';
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, { date, clues: TEST_CLUES });
+    
+    try {
+      const answers = await getTestAnswers(dailyPuzzleId);
+      const path = `/puzzles/archive/${date}/start-session`;
+      
+      // One play stumbles on clue 2, the other is clean
+      const stumbled = await startSession({}, { path });
+      await apiRequest('/puzzles/validate-clue', {
+        method: 'POST',
+        body: { session_id: stumbled.session_id, clue_number: 2, answer: 'COMPUTER MOUSE PAD' }
+      });
+      await apiRequest('/puzzles/get-hint', {
+        method: 'POST',
+        body: { session_id: stumbled.session_id, clue_number: 2, hint_type: 'structure' }
+      });
+      const clean = await startSession({}, { path });
+      
+      for (const session of [stumbled, clean]) {
+        await solveSession(session, answers);
+        await apiRequest('/puzzles/submit-result', { method: 'POST', body: { session_id: session.session_id } });
+      }
+      
+      const analytics = (await apiRequest(`/admin/daily-puzzles/${dailyPuzzleId}/analytics`, { token: adminToken })).body;
+      expect(analytics.plays).toBe(2);
+      
+      const [first, second] = analytics.clues;
+      expect(first.no_hint_solve_rate).toBe(100);
+      expect(second.no_hint_solve_rate).toBe(50);
+      expect(second.avg_wrong_answers).toBe(0.5);
+      expect(second.hint_depth['1']).toBe(1);
+      expect(second.hint_funnel.structure).toBe(1);
+      
+      // The wrong guess is counted, but its text isn't kept for a player who didn't share it
+      expect(JSON.stringify(analytics)).not.toContain('COMPUTER MOUSE PAD');
+    } finally {
+      await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+});
+
+test.describe('Phrasey Chain - Shared Guess Log', () => {
+  
+  test('should log a shared wrong guess once per session', async () => {
+    const adminToken = await getAdminToken();
+    const date = '2001-01-21';
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, { date, clues: TEST_CLUES });
+    
+    try {
+      const path = `/puzzles/archive/${date}/start-session`;
+      const guess = (session, answer, share_guess = true) => apiRequest('/puzzles/validate-clue', {
+        method: 'POST',
+        body: { session_id: session.session_id, clue_number: 2, answer, share_guess }
+      });
+      
+      const first = await startSession({}, { path });
+      await guess(first, 'COMPUTER MOUSE PAD');
+      await guess(first, 'computer mouse pad');
+      await guess(first, 'KEYBOARD SHORTCUT');
+      await guess(first, 'PRIVATE GUESS', false);
+      
+      const second = await startSession({}, { path });
+      await guess(second, 'COMPUTER MOUSE PAD');
+      
+      const log = (await apiRequest(`/admin/daily-puzzles/${dailyPuzzleId}/guess-log`, { token: adminToken })).body;
+      const clue = log.clues.find(entry => entry.clue_number === 2);
+      expect(clue.total_wrong_guesses).toBe(3);
+      expect(clue.top_wrong_answers).toEqual([
+        { guess: 'COMPUTER MOUSE PAD', count: 2, grade: 'linking_word' },
+        { guess: 'KEYBOARD SHORTCUT', count: 1, grade: 'wrong' }
+      ]);
+    } finally {
+      await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+});
+
+test.describe('Phrasey Chain - Difficulty Calibration', () => {
+  
+  test('should calibrate from plays and keep clue calibrations through rewording only', async () => {
+    const adminToken = await getAdminToken();
+    const date = '2001-01-22';
+    const dailyPuzzleId = await createPublishedPuzzle(adminToken, { date, clues: TEST_CLUES });
+    const getPuzzle = async () => (await apiRequest('/admin/daily-puzzles', { token: adminToken })).body
+      .find(puzzle => puzzle.id === dailyPuzzleId);
+    
+    try {
+      const answers = await getTestAnswers(dailyPuzzleId);
+      for (let play = 0; play < 5; play++) {
+        const session = await startSession({}, { path: `/puzzles/archive/${date}/start-session` });
+        await solveSession(session, answers);
+        await apiRequest('/puzzles/submit-result', { method: 'POST', body: { session_id: session.session_id } });
+      }
+      
+      const report = (await apiRequest('/admin/difficulty/calibrate', { method: 'POST', token: adminToken })).body;
+      expect(report.calibrated.map(puzzle => puzzle.dailyPuzzleId)).toContain(dailyPuzzleId);
+      
+      const calibrated = await getPuzzle();
+      expect(calibrated.calibrated_difficulty).toBe(1);
+      expect(calibrated.clues.every(clue => clue.calibrated_difficulty === 1)).toBe(true);
+      
+      // Rewording a clue keeps the calibration the players' results earned
+      const edit = await apiRequest(`/admin/daily-puzzles/${dailyPuzzleId}`, {
+        method: 'PUT',
+        body: { date, clues: [{ ...TEST_CLUES[0], clue: 'Low living room furniture + Book navigation aid' }, ...TEST_CLUES.slice(1)] },
+        token: adminToken
+      });
+      expect(edit.status).toBe(200);
+      
+      const edited = await getPuzzle();
+      expect(edited.clues[0].clue).toBe('Low living room furniture + Book navigation aid');
+      expect(edited.clues.map(clue => clue.calibrated_difficulty)).toEqual([1, 1, 1]);
+      
+      const suggestion = (await apiRequest('/admin/difficulty/suggest?linking_words=MOUSE', { token: adminToken })).body;
+      expect(suggestion.difficulty).not.toBeNull();
+      
+      // A new answer is a different clue, so its calibration no longer applies
+      await apiRequest(`/admin/daily-puzzles/${dailyPuzzleId}`, {
+        method: 'PUT',
+        body: { date, clues: [TEST_CLUES[0], { ...TEST_CLUES[1], answer: 'MICKEY MOUSE TRAP' }, TEST_CLUES[2]] },
+        token: adminToken
+      });
+      expect((await getPuzzle()).clues.map(clue => clue.calibrated_difficulty)).toEqual([1, null, 1]);
+    } finally {
+      await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+});
+
+test.describe('Phrasey Chain - Puzzle Schedule', () => {
+  
+  // A day in the schedule window well past the seeded puzzles
+  async function getUpcomingDate(adminToken, daysAhead) {
+    const { today } = (await apiRequest('/admin/schedule', { token: adminToken })).body;
+    const date = new Date(`${today}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + daysAhead);
+    return date.toISOString().slice(0, 10);
+  }
+  
+  function setFallbackPolicy(adminToken, policy) {
+    return apiRequest('/admin/schedule/fallback', { method: 'PUT', body: { policy }, token: adminToken });
+  }
+  
+  test('should report a day held by an unpublished puzzle as blocked, not a gap', async () => {
+    const adminToken = await getAdminToken();
+    const blockedDate = await getUpcomingDate(adminToken, 20);
+    const gapDate = await getUpcomingDate(adminToken, 21);
+    const draft = await apiRequest('/admin/daily-puzzles', {
+      method: 'POST',
+      body: { date: blockedDate, clues: TEST_CLUES },
+      token: adminToken
+    });
+    
+    try {
+      const schedule = (await apiRequest('/admin/schedule', { token: adminToken })).body;
+      expect(schedule.blocked).toContain(blockedDate);
+      expect(schedule.gaps).not.toContain(blockedDate);
+      expect(schedule.gaps).toContain(gapDate);
+      
+      // The fallback never fills a blocked day
+      await setFallbackPolicy(adminToken, 'replay_archive');
+      const fill = await apiRequest('/admin/schedule/fill', { method: 'POST', body: { date: blockedDate }, token: adminToken });
+      expect(fill.status).toBe(409);
+    } finally {
+      await setFallbackPolicy(adminToken, 'none');
+      await deletePuzzle(adminToken, draft.body.dailyPuzzleId);
+    }
+  });
+
+  test('should leave empty days empty under the none policy', async () => {
+    const adminToken = await getAdminToken();
+    const date = await getUpcomingDate(adminToken, 22);
+    await setFallbackPolicy(adminToken, 'none');
+    
+    const fill = await apiRequest('/admin/schedule/fill', { method: 'POST', body: { date }, token: adminToken });
+    expect(fill.status).toBe(400);
+    expect((await apiRequest('/admin/schedule', { token: adminToken })).body.gaps).toContain(date);
+  });
+
+  test('should fill an empty day from the reserve pool under the reserve policy', async () => {
+    const adminToken = await getAdminToken();
+    const date = await getUpcomingDate(adminToken, 23);
+    const reserveId = await createPublishedPuzzle(adminToken, { reserve: true, clues: TEST_CLUES });
+    
+    try {
+      await setFallbackPolicy(adminToken, 'reserve');
+      const fill = await apiRequest('/admin/schedule/fill', { method: 'POST', body: { date }, token: adminToken });
+      expect(fill.body).toMatchObject({ success: true, date, policy: 'reserve', dailyPuzzleId: reserveId });
+      
+      const schedule = (await apiRequest('/admin/schedule', { token: adminToken })).body;
+      expect(schedule.days.find(day => day.date === date).puzzle.id).toBe(reserveId);
+      expect(schedule.reserve.map(puzzle => puzzle.id)).not.toContain(reserveId);
+      
+      const again = await apiRequest('/admin/schedule/fill', { method: 'POST', body: { date }, token: adminToken });
+      expect(again.status).toBe(409);
+    } finally {
+      await setFallbackPolicy(adminToken, 'none');
+      await deletePuzzle(adminToken, reserveId);
+    }
+  });
+
+  test('should copy a past puzzle onto an empty day under the replay_archive policy', async () => {
+    const adminToken = await getAdminToken();
+    const date = await getUpcomingDate(adminToken, 24);
+    let dailyPuzzleId;
+    
+    try {
+      await setFallbackPolicy(adminToken, 'replay_archive');
+      const fill = await apiRequest('/admin/schedule/fill', { method: 'POST', body: { date }, token: adminToken });
+      expect(fill.body).toMatchObject({ success: true, date, policy: 'replay_archive' });
+      dailyPuzzleId = fill.body.dailyPuzzleId;
+      
+      const schedule = (await apiRequest('/admin/schedule', { token: adminToken })).body;
+      const filled = schedule.days.find(day => day.date === date).puzzle;
+      expect(filled.id).toBe(dailyPuzzleId);
+      expect(filled.status).toBe('published');
+      expect(filled.replay_of).not.toBeNull();
+      expect(filled.linking_words.length).toBeGreaterThan(0);
+    } finally {
+      await setFallbackPolicy(adminToken, 'none');
+      if (dailyPuzzleId) await deletePuzzle(adminToken, dailyPuzzleId);
+    }
+  });
+});
+
+test.describe('Phrasey Chain - Editorial Review', () => {
+  
+  test('should keep editors from importing or moving a puzzle straight to published', async () => {
+    const adminToken = await getAdminToken();
+    const { token: editorToken } = await registerEditor(adminToken);
+    
+    const imported = (await apiRequest('/admin/daily-puzzles/bulk-import', {
+      method: 'POST',
+      body: {
+        dailyPuzzles: [
+          { date: '2001-01-23', clues: TEST_CLUES, status: 'published' },
+          { date: '2001-01-24', clues: TEST_CLUES }
+        ]
+      },
+      token: editorToken
+    })).body;
+    expect(imported.successful).toBe(1);
+    expect(imported.errors).toEqual(['Daily puzzle 1: Only admins can import a puzzle as published']);
+    
+    const puzzles = (await apiRequest('/admin/daily-puzzles', { token: adminToken })).body;
+    expect(puzzles.some(puzzle => puzzle.date && puzzle.date.startsWith('2001-01-23'))).toBe(false);
+    const draft = puzzles.find(puzzle => puzzle.date && puzzle.date.startsWith('2001-01-24'));
+    expect(draft.status).toBe('draft');
+    
+    const setStatus = (status, token) => apiRequest(`/admin/daily-puzzles/${draft.id}/status`, {
+      method: 'PUT',
+      body: { status },
+      token
+    });
+    
+    try {
+      expect((await setStatus('published', editorToken)).status).toBe(400);
+      expect((await setStatus('in_review', editorToken)).status).toBe(200);
+      expect((await setStatus('approved', editorToken)).status).toBe(403);
+      
+      expect((await setStatus('approved', adminToken)).status).toBe(200);
+      expect((await setStatus('published', editorToken)).status).toBe(403);
+      expect((await setStatus('published', adminToken)).status).toBe(200);
+    } finally {
+      await deletePuzzle(adminToken, draft.id);
+    }
+  });
+
+  test('should apply a role change to the access token already issued', async () => {
+    const adminToken = await getAdminToken();
+    const editor = await registerEditor(adminToken);
+    expect((await apiRequest('/admin/daily-puzzles', { token: editor.token })).status).toBe(200);
+    
+    await apiRequest(`/admin/team/${editor.username}`, { method: 'PUT', body: { role: 'player' }, token: adminToken });
+    expect((await apiRequest('/admin/daily-puzzles', { token: editor.token })).status).toBe(403);
+  });
+});